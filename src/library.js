@@ -0,0 +1,231 @@
+// Cassette Music Player - Music Library
+// Persistent index of the tracks under the library folders, kept by the main process.
+// Entries are keyed by path and carry the file size and modification time, so a
+// rescan only reads the tags of files that changed
+
+const path = require('path');
+const fs = require('fs');
+
+// Index file and its contents: { folders: [root paths], tracks: { path: track } }
+let indexFile = null;
+let index = null;
+
+// Quiet time before the index is written, so a burst of changes (folder watcher
+// batches) is saved once (ms)
+const SAVE_DELAY = 1000;
+let saveTimer = null;
+let saving = Promise.resolve();
+
+// Use an index file (in the user data folder). It is loaded on first use
+function openLibrary(filePath) {
+  indexFile = filePath;
+  index = null;
+}
+
+function getIndex() {
+  if (!index) {
+    try {
+      index = fs.existsSync(indexFile)
+        ? JSON.parse(fs.readFileSync(indexFile, 'utf8'))
+        : {};
+    } catch (error) {
+      console.error('Error loading library index:', error);
+      index = {};
+    }
+    index.folders = index.folders || [];
+    index.tracks = index.tracks || {};
+  }
+  return index;
+}
+
+// The index is written to a temporary file that is then renamed over the old one, so
+// a crash during the write never leaves a truncated index behind
+async function writeLibrary() {
+  const tempFile = indexFile + '.tmp';
+  try {
+    await fs.promises.writeFile(tempFile, JSON.stringify(getIndex()), 'utf8');
+    await fs.promises.rename(tempFile, indexFile);
+  } catch (error) {
+    console.error('Error saving library index:', error);
+  }
+}
+
+function saveLibrary() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saving = saving.then(writeLibrary);  // One write at a time
+  }, SAVE_DELAY);
+}
+
+// Write pending changes right away (on quit)
+function flushLibrary() {
+  if (!saveTimer) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+
+  const tempFile = indexFile + '.quit.tmp';
+  try {
+    fs.writeFileSync(tempFile, JSON.stringify(getIndex()), 'utf8');
+    fs.renameSync(tempFile, indexFile);
+  } catch (error) {
+    console.error('Error saving library index:', error);
+  }
+}
+
+// True if `child` is `parent` or inside it
+function isPathInside(child, parent) {
+  const relative = path.relative(parent, child);
+  return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
+// True if a path is inside one of a set of folders. Walks up the parent folders of the
+// path, so the cost does not grow with the number of folders
+function isInsideAnyFolder(filePath, folders) {
+  let folder = path.dirname(filePath);
+  while (true) {
+    if (folders.has(folder)) return true;
+    const parent = path.dirname(folder);
+    if (parent === folder) return false;
+    folder = parent;
+  }
+}
+
+// Library folder containing a path, or null
+function getLibraryRoot(filePath) {
+  return getIndex().folders.find(folder => isPathInside(filePath, folder)) || null;
+}
+
+function getTracksInside(folderPath) {
+  return Object.values(getIndex().tracks).filter(track => isPathInside(track.path, folderPath));
+}
+
+// Library folders with their number of indexed tracks
+function getLibraryFolders() {
+  return getIndex().folders.map(folder => ({
+    path: folder,
+    trackCount: getTracksInside(folder).length
+  }));
+}
+
+// Add a library folder. Folders already inside it are merged into it; a folder that is
+// already covered by another one is not added. Returns the folder that covers it
+function addLibraryFolder(folderPath) {
+  const library = getIndex();
+  const root = getLibraryRoot(folderPath);
+  if (root) return root;
+
+  library.folders = library.folders.filter(folder => !isPathInside(folder, folderPath));
+  library.folders.push(folderPath);
+  library.folders.sort((a, b) => a.localeCompare(b));
+  saveLibrary();
+  return folderPath;
+}
+
+// Remove a library folder and forget its tracks
+function removeLibraryFolder(folderPath) {
+  const library = getIndex();
+  library.folders = library.folders.filter(folder => folder !== folderPath);
+  for (const track of getTracksInside(folderPath)) {
+    if (!getLibraryRoot(track.path)) delete library.tracks[track.path];
+  }
+  saveLibrary();
+}
+
+// Indexed tracks inside a folder, keyed by path (for an incremental rescan)
+function getKnownTracks(folderPath) {
+  const known = {};
+  for (const track of getTracksInside(folderPath)) {
+    known[track.path] = track;
+  }
+  return known;
+}
+
+// Replace the indexed tracks inside a folder by the result of a complete scan of it.
+// Tracks under folders the scan skipped (unreadable, unmounted) are kept; if not every
+// skipped folder is listed, or the scan found nothing where the index has tracks (an
+// empty mount point), no indexed track is dropped. Ignored for folders outside the library
+function updateLibraryFolder(folderPath, tracks, skipped = [], skippedCount = skipped.length) {
+  if (!getLibraryRoot(folderPath)) return false;
+
+  const library = getIndex();
+  const indexed = getTracksInside(folderPath);
+  const keepAll = skippedCount > skipped.length || (tracks.length === 0 && indexed.length > 0);
+  if (keepAll) {
+    console.warn(`Library scan of ${folderPath} incomplete: indexed tracks are kept`);
+  }
+
+  const skippedFolders = new Set(skipped.map(entry => entry.path));
+  for (const track of indexed) {
+    if (!keepAll && !skippedFolders.has(track.path) && !isInsideAnyFolder(track.path, skippedFolders)) {
+      delete library.tracks[track.path];
+    }
+  }
+  for (const track of tracks) {
+    library.tracks[track.path] = track;
+  }
+  saveLibrary();
+  return true;
+}
+
+// Apply changes seen by the folder watcher: tracks added or changed, and files or
+// folders that were removed. Tracks outside the library are ignored
+function updateLibraryTracks(tracks, removedPaths) {
+  const library = getIndex();
+  let changed = false;
+
+  // Removed files are looked up directly; the other paths were folders, whose tracks
+  // are found in one pass over the index
+  const removedFolders = new Set();
+  for (const removedPath of removedPaths) {
+    if (library.tracks[removedPath]) {
+      delete library.tracks[removedPath];
+      changed = true;
+    } else {
+      removedFolders.add(removedPath);
+    }
+  }
+  if (removedFolders.size > 0) {
+    for (const trackPath of Object.keys(library.tracks)) {
+      if (isInsideAnyFolder(trackPath, removedFolders)) {
+        delete library.tracks[trackPath];
+        changed = true;
+      }
+    }
+  }
+  for (const track of tracks) {
+    if (getLibraryRoot(track.path)) {
+      library.tracks[track.path] = track;
+      changed = true;
+    }
+  }
+
+  if (changed) saveLibrary();
+}
+
+// Indexed tracks matching a filter: { folder, artist, album } (all optional), sorted
+// by name like a folder scan. Returns null when the folder is not in the library
+function queryLibrary(filter = {}) {
+  if (filter.folder && !getLibraryRoot(filter.folder)) return null;
+
+  const matches = (value, wanted) => !wanted || (value || '').toLowerCase() === wanted.toLowerCase();
+  return Object.values(getIndex().tracks)
+    .filter(track => !filter.folder || isPathInside(track.path, filter.folder))
+    .filter(track => matches(track.artist, filter.artist) && matches(track.album, filter.album))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  openLibrary,
+  flushLibrary,
+  isPathInside,
+  isInsideAnyFolder,
+  getLibraryRoot,
+  getLibraryFolders,
+  addLibraryFolder,
+  removeLibraryFolder,
+  getKnownTracks,
+  updateLibraryFolder,
+  updateLibraryTracks,
+  queryLibrary
+};
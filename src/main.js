@@ -4,10 +4,27 @@
 const { app, BrowserWindow, ipcMain, dialog, Menu, Tray, nativeImage } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const { Worker } = require('worker_threads');
+const { readReplayGain, readCoverArt, addTrackInfo } = require('./tags');
+const { isAudioFile, getFileDisplayName, addFileInfo, scanAudioFiles } = require('./scanner');
+const library = require('./library');
 
 // Settings file path in user data directory
 const SETTINGS_FILE = path.join(app.getPath('userData'), 'settings.json');
 
+// Cache of loudness analysis results (keyed by file path)
+const LOUDNESS_CACHE_FILE = path.join(app.getPath('userData'), 'loudness-cache.json');
+
+// Music library index (library folders and their tracks)
+library.openLibrary(path.join(app.getPath('userData'), 'library.json'));
+
+// Extracted cover art (image files named by content hash, so an album's tracks share
+// one file) and an index of which image belongs to which track
+const COVER_CACHE_DIR = path.join(app.getPath('userData'), 'covers');
+const COVER_INDEX_FILE = path.join(COVER_CACHE_DIR, 'index.json');
+
 // Default settings
 const DEFAULT_SETTINGS = {
   audio: {
@@ -17,7 +34,19 @@ const DEFAULT_SETTINGS = {
     saturationLevel: 0.4,
     lowCutoff: 80,
     highCutoff: 12000,
-    effectsEnabled: true
+    effectsEnabled: true,
+    tapeType: 'normal',
+    noiseReduction: 'off',
+    tapeAge: 0,
+    tapeAgeAuto: false,
+    azimuthError: 0,
+    crosstalk: 0,
+    balanceDrift: 0,
+    mechanismSounds: true,
+    clunkLevel: 0.6,
+    motorLevel: 0.4,
+    releaseLevel: 0.5,
+    whineLevel: 0.3
   },
   appearance: {
     gradientEnabled: false,
@@ -26,12 +55,41 @@ const DEFAULT_SETTINGS = {
     gradientAngle: 180,
     backgroundOpacity: 80
   },
+  equalizer: {
+    enabled: true,
+    preamp: 0,
+    bands: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    preset: 'flat',
+    userPresets: {}
+  },
   window: {
     alwaysOnTop: false
   },
   playback: {
     folderPath: null,
-    currentTrackIndex: 0
+    currentTrackIndex: 0,
+    currentTrackPath: null,
+    position: 0,
+    autoResume: false,
+    speed: 1,
+    preservePitch: false,
+    sleepRunDown: true,
+    loopSeamFade: true,
+    saveLoops: false,
+    skipPolicy: 'skip',
+    titleFormat: '{artist} \u2013 {title}',
+    savedLoops: {},
+    repeatMode: 'all',
+    crossfadeDuration: 0,
+    crossfadeCurve: 'equalPower',
+    normalization: 'off',
+    cueSound: true,
+    counterMode: 'tape',
+    cassetteMode: false,
+    tapeLength: 'C60',
+    autoReverse: true,
+    playCounts: {},
+    queue: []
   }
 };
 
@@ -45,6 +103,7 @@ function loadSettings() {
       return {
         audio: { ...DEFAULT_SETTINGS.audio, ...loaded.audio },
         appearance: { ...DEFAULT_SETTINGS.appearance, ...loaded.appearance },
+        equalizer: { ...DEFAULT_SETTINGS.equalizer, ...loaded.equalizer },
         window: { ...DEFAULT_SETTINGS.window, ...loaded.window },
         playback: { ...DEFAULT_SETTINGS.playback, ...loaded.playback }
       };
@@ -67,13 +126,77 @@ function saveSettings(settings) {
 // Current settings (loaded on app start)
 let currentSettings = null;
 
+// Loudness analysis cache (loaded on first use)
+let loudnessCache = null;
+
+// Files read at the same time when looking up loudness info
+const LOUDNESS_READ_CONCURRENCY = 8;
+
+function getLoudnessCache() {
+  if (!loudnessCache) {
+    try {
+      loudnessCache = fs.existsSync(LOUDNESS_CACHE_FILE)
+        ? JSON.parse(fs.readFileSync(LOUDNESS_CACHE_FILE, 'utf8'))
+        : {};
+    } catch (error) {
+      console.error('Error loading loudness cache:', error);
+      loudnessCache = {};
+    }
+  }
+  return loudnessCache;
+}
+
+function saveLoudnessCache() {
+  try {
+    fs.writeFileSync(LOUDNESS_CACHE_FILE, JSON.stringify(loudnessCache), 'utf8');
+  } catch (error) {
+    console.error('Error saving loudness cache:', error);
+  }
+}
+
+// Cover art index (loaded on first use): file path -> { size, mtimeMs, cover }
+let coverIndex = null;
+
+function getCoverIndex() {
+  if (!coverIndex) {
+    try {
+      coverIndex = fs.existsSync(COVER_INDEX_FILE)
+        ? JSON.parse(fs.readFileSync(COVER_INDEX_FILE, 'utf8'))
+        : {};
+    } catch (error) {
+      console.error('Error loading cover art index:', error);
+      coverIndex = {};
+    }
+  }
+  return coverIndex;
+}
+
+function saveCoverIndex() {
+  try {
+    fs.mkdirSync(COVER_CACHE_DIR, { recursive: true });
+    fs.writeFileSync(COVER_INDEX_FILE, JSON.stringify(coverIndex), 'utf8');
+  } catch (error) {
+    console.error('Error saving cover art index:', error);
+  }
+}
+
 // Keep a global reference of the window object
 let mainWindow = null;
 let tray = null;
 let isPlaying = false;
-
-// Supported audio formats
-const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.ogg', '.flac', '.aac', '.m4a', '.webm', '.opus', '.wma'];
+let sleepTimerMode = 'off';
+
+// Sleep timer choices in the tray menu (values match the renderer's SLEEP_TIMER_MODES)
+const SLEEP_TIMER_ITEMS = [
+  { mode: 'off', label: 'Off' },
+  { mode: '15', label: '15 minutes' },
+  { mode: '30', label: '30 minutes' },
+  { mode: '45', label: '45 minutes' },
+  { mode: '60', label: '60 minutes' },
+  { mode: '90', label: '90 minutes' },
+  { mode: 'track', label: 'End of track' },
+  { mode: 'playlist', label: 'End of playlist' }
+];
 
 // Create play/pause tray icons programmatically
 function createTrayIcon(type) {
@@ -141,6 +264,8 @@ function createTray() {
     }
   });
 
+  updateTrayMenu();
+
   // Double click shows/hides window
   tray.on('double-click', () => {
     if (mainWindow) {
@@ -154,6 +279,43 @@ function createTray() {
   });
 }
 
+// Tray context menu (rebuilt when the sleep timer changes)
+function updateTrayMenu() {
+  if (!tray) return;
+
+  const menu = Menu.buildFromTemplate([
+    {
+      label: 'Play / Pause',
+      click: () => {
+        if (mainWindow) mainWindow.webContents.send('tray-toggle-play');
+      }
+    },
+    {
+      label: 'Sleep Timer',
+      submenu: SLEEP_TIMER_ITEMS.map(item => ({
+        label: item.label,
+        type: 'radio',
+        checked: item.mode === sleepTimerMode,
+        click: () => {
+          if (mainWindow) mainWindow.webContents.send('tray-sleep-timer', item.mode);
+        }
+      }))
+    },
+    { type: 'separator' },
+    {
+      label: 'Show Window',
+      click: () => {
+        if (mainWindow) {
+          mainWindow.show();
+          mainWindow.focus();
+        }
+      }
+    },
+    { label: 'Quit', click: () => app.quit() }
+  ]);
+  tray.setContextMenu(menu);
+}
+
 // Update tray icon based on play state
 function updateTrayIcon() {
   if (tray) {
@@ -191,6 +353,8 @@ function createWindow() {
 
   // Handle window closed
   mainWindow.on('closed', () => {
+    cancelFolderScan();
+    unwatchFolder();
     mainWindow = null;
   });
 
@@ -220,6 +384,11 @@ app.whenReady().then(() => {
   }
 });
 
+// Library index changes are saved with a short delay: write what is pending
+app.on('will-quit', () => {
+  library.flushLibrary();
+});
+
 // Quit when all windows are closed
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
@@ -235,7 +404,7 @@ app.on('activate', () => {
 
 // IPC Handlers for file operations
 
-// Open folder dialog and return audio files
+// Open folder dialog and start scanning the chosen folder (the tracks arrive as scan events)
 ipcMain.handle('open-folder-dialog', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openDirectory'],
@@ -247,11 +416,9 @@ ipcMain.handle('open-folder-dialog', async () => {
   }
 
   const folderPath = result.filePaths[0];
-  const audioFiles = getAudioFilesFromFolder(folderPath);
-
   return {
     folderPath,
-    audioFiles
+    scanId: startFolderScan(folderPath)
   };
 });
 
@@ -277,6 +444,7 @@ ipcMain.handle('open-file-dialog', async () => {
       fullName: path.basename(filePath),
       path: filePath
     }));
+  await addTrackInfo(audioFiles);
 
   return {
     folderPath: path.dirname(result.filePaths[0]),
@@ -284,55 +452,329 @@ ipcMain.handle('open-file-dialog', async () => {
   };
 });
 
-// Get audio files from a folder (recursively scans subfolders)
-function getAudioFilesFromFolder(folderPath) {
+// Folder scan running in a worker thread: { id, folderPath, worker, files }. Only one
+// scan runs at a time; starting another one cancels it. Folders inside the library are
+// scanned incrementally (unchanged files keep their indexed tags), and a complete scan
+// updates the library index
+let activeScan = null;
+let nextScanId = 1;
+
+// Tracks of the last completed scan: { folderPath, files } (known files for the watcher)
+let lastScanResult = null;
+
+function sendScanEvent(scan, channel, data) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, { scanId: scan.id, ...data });
+  }
+}
+
+// Scan a folder tree in a worker thread. Progress, batches of tracks and the final
+// summary are sent to the renderer as 'scan-progress', 'scan-batch' and 'scan-done'
+function startFolderScan(folderPath) {
+  cancelFolderScan();
+
+  const inLibrary = !!library.getLibraryRoot(folderPath);
+  const known = inLibrary ? library.getKnownTracks(folderPath) : {};
+  const scan = {
+    id: nextScanId++,
+    folderPath,
+    worker: new Worker(path.join(__dirname, 'scanner.js'), { workerData: { folderPath, known } }),
+    files: []
+  };
+  activeScan = scan;
+
+  scan.worker.on('message', (message) => {
+    if (activeScan !== scan) return;
+
+    if (message.type === 'batch') {
+      scan.files.push(...message.files);
+      sendScanEvent(scan, 'scan-batch', { files: message.files });
+    } else if (message.type === 'progress') {
+      sendScanEvent(scan, 'scan-progress', { found: message.found });
+    } else if (message.type === 'done') {
+      activeScan = null;
+      lastScanResult = { folderPath, files: scan.files };
+      if (inLibrary) {
+        library.updateLibraryFolder(folderPath, scan.files, message.skipped, message.skippedCount);
+      }
+      if (message.skippedCount > 0) {
+        console.warn(`Scan of ${folderPath} skipped ${message.skippedCount} folders/links:`, message.skipped);
+      }
+      sendScanEvent(scan, 'scan-done', {
+        folderPath,
+        found: message.found,
+        skipped: message.skipped,
+        skippedCount: message.skippedCount,
+        cancelled: false
+      });
+    }
+  });
+
+  scan.worker.on('error', (error) => {
+    if (activeScan !== scan) return;
+    activeScan = null;
+    console.error('Error scanning folder:', folderPath, error);
+    sendScanEvent(scan, 'scan-done', { folderPath, cancelled: false, error: error.message });
+  });
+
+  return scan.id;
+}
+
+// Stop the running scan. The renderer gets a 'scan-done' event with cancelled set
+function cancelFolderScan() {
+  const scan = activeScan;
+  if (!scan) return;
+
+  activeScan = null;
+  scan.worker.terminate();
+  sendScanEvent(scan, 'scan-done', { folderPath: scan.folderPath, cancelled: true });
+}
+
+// Live watching of the loaded folder (recursive, debounced). Changes are sent to the
+// renderer as 'folder-changed' events with added, removed and renamed tracks.
+// { folderPath, watcher, known (path -> track), pending (changed paths), timer, queue,
+//   workers (scans of new folders) }
+let folderWatch = null;
+
+// Quiet time after the last file system event before the changes are processed (ms)
+const WATCH_DEBOUNCE = 500;
+
+function watchFolder(folderPath) {
+  unwatchFolder();
+  if (!folderPath || !fs.existsSync(folderPath)) return;
+
+  // Tracks already known from the last scan or the library index
+  const known = {};
+  if (lastScanResult && lastScanResult.folderPath === folderPath) {
+    for (const track of lastScanResult.files) known[track.path] = track;
+  } else {
+    Object.assign(known, library.getKnownTracks(folderPath));
+  }
+
+  const watch = {
+    folderPath,
+    watcher: null,
+    known,
+    pending: new Set(),
+    timer: null,
+    queue: Promise.resolve(),
+    workers: new Set()
+  };
+  const onEvent = (eventType, filename) => {
+    if (!filename) return;
+    watch.pending.add(path.join(folderPath, filename.toString()));
+    clearTimeout(watch.timer);
+    watch.timer = setTimeout(() => {
+      // One batch of changes at a time
+      watch.queue = watch.queue
+        .then(() => processFolderChanges(watch))
+        .catch(error => console.error('Error processing folder changes:', error));
+    }, WATCH_DEBOUNCE);
+  };
+
   try {
-    return getAudioFilesRecursive(folderPath).sort((a, b) => a.name.localeCompare(b.name));
+    watch.watcher = fs.watch(folderPath, { recursive: true }, onEvent);
   } catch (error) {
-    console.error('Error reading folder:', error);
-    return [];
+    // Recursive watching is not available on every platform: watch the top level only
+    try {
+      watch.watcher = fs.watch(folderPath, onEvent);
+    } catch (fallbackError) {
+      console.error('Cannot watch folder:', folderPath, fallbackError.message);
+      return;
+    }
   }
+
+  watch.watcher.on('error', (error) => {
+    console.error('Folder watcher error:', folderPath, error.message);
+    if (folderWatch === watch) unwatchFolder();
+  });
+  folderWatch = watch;
 }
 
-// Recursively get audio files from folder and all subfolders
-function getAudioFilesRecursive(folderPath) {
-  let audioFiles = [];
+function unwatchFolder() {
+  if (!folderWatch) return;
+  clearTimeout(folderWatch.timer);
+  folderWatch.watcher.close();
+  for (const worker of folderWatch.workers) worker.terminate();
+  folderWatch = null;
+}
 
-  try {
-    const entries = fs.readdirSync(folderPath, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const fullPath = path.join(folderPath, entry.name);
-
-      if (entry.isDirectory()) {
-        // Recursively scan subdirectory
-        audioFiles = audioFiles.concat(getAudioFilesRecursive(fullPath));
-      } else if (entry.isFile() && isAudioFile(entry.name)) {
-        audioFiles.push({
-          name: getFileDisplayName(entry.name),
-          fullName: entry.name,
-          path: fullPath
-        });
+// Scan a folder that appeared in the watched folder, in a worker thread like a normal
+// scan. Resolves with its tracks (tags included)
+function scanNewFolder(watch, folderPath) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'scanner.js'), { workerData: { folderPath, known: {} } });
+    const files = [];
+    watch.workers.add(worker);
+
+    worker.on('message', (message) => {
+      if (message.type === 'batch') {
+        files.push(...message.files);
+      } else if (message.type === 'done') {
+        resolve(files);
+      }
+    });
+    worker.on('error', reject);
+    worker.on('exit', () => {
+      watch.workers.delete(worker);
+      resolve(files);  // Terminated by unwatchFolder (no effect after 'done')
+    });
+  });
+}
+
+// Turn the changed paths of a debounce period into added / removed / renamed tracks
+async function processFolderChanges(watch) {
+  const changedPaths = [...watch.pending];
+  watch.pending.clear();
+
+  const removed = [];
+  const newFolders = [];
+  const changedFiles = [];
+
+  for (const changedPath of changedPaths) {
+    let stats = null;
+    try {
+      stats = await fs.promises.stat(changedPath);
+    } catch (error) {
+      // Deleted, or renamed / moved away
+    }
+
+    if (!stats) {
+      removed.push(changedPath);
+    } else if (stats.isDirectory()) {
+      newFolders.push(changedPath);
+    } else if (stats.isFile() && isAudioFile(changedPath)) {
+      const entry = watch.known[changedPath];
+      if (!entry || entry.size !== stats.size || entry.mtimeMs !== stats.mtimeMs) {
+        changedFiles.push(changedPath);
       }
     }
-  } catch (error) {
-    console.error('Error reading folder:', folderPath, error);
   }
 
-  return audioFiles;
+  // Removed tracks: files are looked up directly, the tracks of removed folders are
+  // found in one pass over the known paths
+  const removedTracks = [];
+  const removedFolders = new Set();
+  for (const removedPath of removed) {
+    if (watch.known[removedPath]) {
+      removedTracks.push(watch.known[removedPath]);
+      delete watch.known[removedPath];
+    } else {
+      removedFolders.add(removedPath);
+    }
+  }
+
+  // Folders with known tracks only report that their content changed; new folders
+  // (copied or moved in) are scanned, except those inside another new folder
+  const knownFolders = new Set();
+  for (const knownPath of Object.keys(watch.known)) {
+    if (removedFolders.size > 0 && library.isInsideAnyFolder(knownPath, removedFolders)) {
+      removedTracks.push(watch.known[knownPath]);
+      delete watch.known[knownPath];
+      continue;
+    }
+    for (let folder = path.dirname(knownPath); !knownFolders.has(folder); folder = path.dirname(folder)) {
+      knownFolders.add(folder);
+      if (path.dirname(folder) === folder) break;
+    }
+  }
+  const scanFolders = new Set(newFolders.filter(folder => !knownFolders.has(folder)));
+  for (const folder of [...scanFolders]) {
+    if (library.isInsideAnyFolder(folder, scanFolders)) scanFolders.delete(folder);
+  }
+
+  const added = [];
+  for (const folder of scanFolders) {
+    try {
+      added.push(...await scanNewFolder(watch, folder));
+    } catch (error) {
+      console.error('Error scanning new folder:', folder, error.message);
+    }
+  }
+
+  // Files inside a scanned folder were read with it
+  const files = changedFiles
+    .filter(filePath => !library.isInsideAnyFolder(filePath, scanFolders))
+    .map(filePath => ({
+      name: getFileDisplayName(filePath),
+      fullName: path.basename(filePath),
+      path: filePath
+    }));
+  await addFileInfo(files, {});
+  added.push(...files);
+
+  // A file that vanished and one that appeared with the same size and modification
+  // time were renamed or moved
+  const renamed = [];
+  for (const track of removedTracks) {
+    const match = added.findIndex(file => !watch.known[file.path] &&
+      file.size === track.size && file.mtimeMs === track.mtimeMs);
+    if (match >= 0) {
+      renamed.push({ from: track.path, to: added[match] });
+      added.splice(match, 1);
+    }
+  }
+
+  for (const track of added) watch.known[track.path] = track;
+  for (const { to } of renamed) watch.known[to.path] = to;
+
+  const renamedFrom = new Set(renamed.map(({ from }) => from));
+  const removedPaths = removed.filter(removedPath => !renamedFrom.has(removedPath));
+  library.updateLibraryTracks(added.concat(renamed.map(({ to }) => to)), removed);
+
+  if (folderWatch !== watch || (added.length === 0 && removedPaths.length === 0 && renamed.length === 0)) return;
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('folder-changed', {
+      folderPath: watch.folderPath,
+      added,
+      removed: removedPaths,
+      renamed
+    });
+  }
 }
 
-// Check if file is an audio file
-function isAudioFile(filename) {
-  const ext = path.extname(filename).toLowerCase();
-  return AUDIO_EXTENSIONS.includes(ext);
+// Image files used as cover art when a track has no embedded picture
+const FOLDER_COVER_NAMES = ['folder', 'cover', 'front', 'albumart'];
+const FOLDER_COVER_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+// Extract the embedded cover art of a file into the cache. Returns the cached
+// file name, or null when the file has no (displayable) picture
+async function extractCoverArt(filePath) {
+  const cover = await readCoverArt(filePath);
+  if (!cover) return null;
+
+  const hash = crypto.createHash('sha1').update(cover.data).digest('hex');
+  const fileName = hash + IMAGE_EXTENSIONS[cover.mimeType];
+  const cachePath = path.join(COVER_CACHE_DIR, fileName);
+  if (!fs.existsSync(cachePath)) {
+    await fs.promises.mkdir(COVER_CACHE_DIR, { recursive: true });
+    await fs.promises.writeFile(cachePath, cover.data);
+  }
+  return fileName;
 }
 
-// Get display name (remove extension and clean up)
-function getFileDisplayName(filename) {
-  const basename = path.basename(filename);
-  const ext = path.extname(basename);
-  return basename.slice(0, -ext.length);
+// folder.jpg, cover.png etc. in a directory (names compared case-insensitively)
+async function findFolderCover(folderPath) {
+  try {
+    const entries = await fs.promises.readdir(folderPath, { withFileTypes: true });
+    const images = entries.filter(entry => entry.isFile() &&
+      FOLDER_COVER_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()));
+
+    for (const name of FOLDER_COVER_NAMES) {
+      const match = images.find(entry => getFileDisplayName(entry.name).toLowerCase() === name);
+      if (match) return path.join(folderPath, match.name);
+    }
+  } catch (error) {
+    console.error('Error looking for folder cover art:', folderPath, error.message);
+  }
+  return null;
 }
 
 // Window control handlers
@@ -386,6 +828,12 @@ ipcMain.on('update-play-state', (event, playing) => {
   updateTrayIcon();
 });
 
+// Sleep timer changed in the renderer (keeps the tray menu radio in sync)
+ipcMain.on('update-sleep-timer', (event, mode) => {
+  sleepTimerMode = mode;
+  updateTrayMenu();
+});
+
 // Show window from tray
 ipcMain.on('show-window', () => {
   if (mainWindow) {
@@ -419,21 +867,139 @@ ipcMain.on('set-always-on-top', (event, value) => {
   }
 });
 
-// Get audio files from a specific folder path (for restoring playback state)
-ipcMain.handle('get-audio-files-from-path', async (event, folderPath) => {
+// Start scanning a specific folder path (for restoring playback state)
+ipcMain.handle('start-folder-scan', async (event, folderPath) => {
+  // Check if the folder still exists
+  if (!fs.existsSync(folderPath)) {
+    return null;
+  }
+
+  return {
+    folderPath,
+    scanId: startFolderScan(folderPath)
+  };
+});
+
+ipcMain.on('cancel-folder-scan', () => {
+  cancelFolderScan();
+});
+
+// Watch the loaded folder for added, removed and renamed files (null stops watching)
+ipcMain.on('watch-folder', (event, folderPath) => {
+  watchFolder(folderPath);
+});
+
+// Music library: folders and queries on the index (no file system access)
+ipcMain.handle('library-get-folders', async () => {
+  return library.getLibraryFolders();
+});
+
+ipcMain.handle('library-query', async (event, filter) => {
+  return library.queryLibrary(filter);
+});
+
+// Pick a folder, add it to the library and start scanning it
+ipcMain.handle('library-add-folder', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory'],
+    title: 'Add Folder to Library'
+  });
+
+  if (result.canceled || !result.filePaths.length) {
+    return null;
+  }
+
+  const folderPath = library.addLibraryFolder(result.filePaths[0]);
+  return {
+    folderPath,
+    scanId: startFolderScan(folderPath)
+  };
+});
+
+ipcMain.handle('library-remove-folder', async (event, folderPath) => {
+  library.removeLibraryFolder(folderPath);
+  return library.getLibraryFolders();
+});
+
+// Cover art of a track as a file URL: embedded art (extracted once and cached while the
+// file is unchanged), otherwise an image such as folder.jpg next to it. Null if there is none
+ipcMain.handle('get-cover-art', async (event, filePath) => {
   try {
-    // Check if the folder still exists
-    if (!fs.existsSync(folderPath)) {
-      return null;
+    const stats = await fs.promises.stat(filePath);
+    const index = getCoverIndex();
+    let entry = index[filePath];
+
+    if (!entry || entry.size !== stats.size || entry.mtimeMs !== stats.mtimeMs ||
+        (entry.cover && !fs.existsSync(path.join(COVER_CACHE_DIR, entry.cover)))) {
+      entry = { size: stats.size, mtimeMs: stats.mtimeMs, cover: await extractCoverArt(filePath) };
+      index[filePath] = entry;
+      saveCoverIndex();
     }
 
-    const audioFiles = getAudioFilesFromFolder(folderPath);
-    return {
-      folderPath,
-      audioFiles
-    };
+    const coverPath = entry.cover
+      ? path.join(COVER_CACHE_DIR, entry.cover)
+      : await findFolderCover(path.dirname(filePath));
+    return coverPath ? pathToFileURL(coverPath).href : null;
   } catch (error) {
-    console.error('Error getting audio files from path:', error);
+    console.error(`Error getting cover art of ${filePath}:`, error.message);
     return null;
   }
 });
+
+// Tag information for a list of files (dropped onto the window)
+ipcMain.handle('get-track-info', async (event, filePaths) => {
+  const files = filePaths.map(filePath => ({ path: filePath }));
+  await addTrackInfo(files);
+  return files.map(({ path: filePath, ...info }) => info);
+});
+
+// Loudness information for a list of files: ReplayGain / R128 tags where present,
+// otherwise a cached analysis result (only valid while the file is unchanged)
+ipcMain.handle('get-loudness-info', async (event, filePaths) => {
+  const cache = getLoudnessCache();
+  const results = new Array(filePaths.length).fill(null);
+  let next = 0;
+
+  // An album can be a whole folder: only a few files are open at a time
+  const readNext = async () => {
+    while (next < filePaths.length) {
+      const index = next++;
+      const filePath = filePaths[index];
+      try {
+        const replayGain = await readReplayGain(filePath);
+        if (replayGain) {
+          results[index] = { ...replayGain, source: 'tags' };
+          continue;
+        }
+
+        const stats = await fs.promises.stat(filePath);
+        const entry = cache[filePath];
+        if (entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs) {
+          results[index] = { loudness: entry.loudness, peak: entry.peak, duration: entry.duration, source: 'analysis' };
+        }
+      } catch (error) {
+        console.error(`Error getting loudness info for ${filePath}:`, error.message);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(LOUDNESS_READ_CONCURRENCY, filePaths.length) }, readNext));
+  return results;
+});
+
+// Store a loudness analysis result measured by the renderer
+ipcMain.on('save-loudness-analysis', async (event, filePath, result) => {
+  try {
+    const stats = await fs.promises.stat(filePath);
+    getLoudnessCache()[filePath] = {
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      loudness: result.loudness,
+      peak: result.peak,
+      duration: result.duration
+    };
+    saveLoudnessCache();
+  } catch (error) {
+    console.error(`Error saving loudness analysis for ${filePath}:`, error.message);
+  }
+});
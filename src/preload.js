@@ -26,11 +26,37 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getSettings: () => ipcRenderer.invoke('get-settings'),
   saveSettings: (settings) => ipcRenderer.send('save-settings', settings),
 
-  // Get audio files from a specific path (for restoring playback state)
-  getAudioFilesFromPath: (folderPath) => ipcRenderer.invoke('get-audio-files-from-path', folderPath),
+  // Folder scanning (runs in the background; tracks arrive in batches)
+  startFolderScan: (folderPath) => ipcRenderer.invoke('start-folder-scan', folderPath),
+  cancelFolderScan: () => ipcRenderer.send('cancel-folder-scan'),
+  onScanProgress: (callback) => ipcRenderer.on('scan-progress', callback),
+  onScanBatch: (callback) => ipcRenderer.on('scan-batch', callback),
+  onScanDone: (callback) => ipcRenderer.on('scan-done', callback),
+
+  // Live changes of the loaded folder
+  watchFolder: (folderPath) => ipcRenderer.send('watch-folder', folderPath),
+  onFolderChanged: (callback) => ipcRenderer.on('folder-changed', callback),
+
+  // Music library (folders and index queries)
+  getLibraryFolders: () => ipcRenderer.invoke('library-get-folders'),
+  queryLibrary: (filter) => ipcRenderer.invoke('library-query', filter),
+  addLibraryFolder: () => ipcRenderer.invoke('library-add-folder'),
+  removeLibraryFolder: (folderPath) => ipcRenderer.invoke('library-remove-folder', folderPath),
+
+  // Artist / title / album / duration tags of dropped files
+  getTrackInfo: (filePaths) => ipcRenderer.invoke('get-track-info', filePaths),
+
+  // Cover art (embedded or folder image) as a file URL
+  getCoverArt: (filePath) => ipcRenderer.invoke('get-cover-art', filePath),
+
+  // Loudness normalization (tags and cached analysis results)
+  getLoudnessInfo: (filePaths) => ipcRenderer.invoke('get-loudness-info', filePaths),
+  saveLoudnessAnalysis: (filePath, result) => ipcRenderer.send('save-loudness-analysis', filePath, result),
 
   // Tray integration
   updatePlayState: (isPlaying) => ipcRenderer.send('update-play-state', isPlaying),
   onTrayTogglePlay: (callback) => ipcRenderer.on('tray-toggle-play', callback),
+  updateSleepTimer: (mode) => ipcRenderer.send('update-sleep-timer', mode),
+  onTraySleepTimer: (callback) => ipcRenderer.on('tray-sleep-timer', callback),
   showWindow: () => ipcRenderer.send('show-window')
 });
@@ -63,7 +63,19 @@ const CONFIG = {
     lowCutoff: 80,
     highCutoff: 12000,
     volume: 0.7,
-    effectsEnabled: true
+    effectsEnabled: true,
+    tapeType: 'normal',  // Tape formulation profile (see TAPE_PROFILES)
+    noiseReduction: 'off',  // Noise reduction mode (see NOISE_REDUCTION_MODES)
+    tapeAge: 0,            // Tape wear (0 = new, 1 = worn out)
+    tapeAgeAuto: false,    // Add wear for every completed play of the track
+    azimuthError: 0,       // Head azimuth misalignment (0-1)
+    crosstalk: 0,          // Channel crosstalk (0-1)
+    balanceDrift: 0,       // Unstable stereo image (0-1)
+    mechanismSounds: true, // Synthesized transport sounds (see MECHANISM SOUNDS)
+    clunkLevel: 0.6,       // Key clunk
+    motorLevel: 0.4,       // Motor spin-up on play
+    releaseLevel: 0.5,     // Pinch roller release on stop
+    whineLevel: 0.3        // High-speed whine during skips
   },
   appearance: {
     gradientEnabled: false,
@@ -72,17 +84,154 @@ const CONFIG = {
     gradientAngle: 180,
     backgroundOpacity: 80
   },
+  equalizer: {
+    enabled: true,
+    preamp: 0,                            // dB
+    bands: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],  // dB per band (see EQ_FREQUENCIES)
+    preset: 'flat',                       // Built-in key, 'user:<name>' or 'custom'
+    userPresets: {}                       // name -> { preamp, bands }
+  },
   mobile: {
     autoRotate: false  // Default: locked to landscape
   },
   ui: {
-    showControlsHint: true  // Default: show controls hint
+    showControlsHint: true,  // Default: show controls hint
+    showCoverArt: true       // Cover art on the cassette label and in the track overlay
   },
   playback: {
-    shuffleEnabled: false  // Default: shuffle disabled
+    shuffleEnabled: false,       // Default: shuffle disabled
+    repeatMode: 'all',           // 'off' (stop at the end), 'all' (wrap around) or 'one'
+    autoResume: false,           // Start playing the restored track on launch
+    speed: 1,                    // Varispeed: tape speed relative to nominal (0.88 - 1.12)
+    preservePitch: false,        // Keep the pitch when the speed changes (practice mode)
+    sleepRunDown: true,          // Sleep timer ends with the motor running down
+    loopSeamFade: true,          // A-B loop: short fade at the loop seam instead of a hard jump
+    saveLoops: false,            // Remember A-B loops per file
+    skipPolicy: 'skip',          // Unplayable tracks: 'skip' (keep going) or 'stop'
+    titleFormat: '{artist} \u2013 {title}', // Display title from the tags ({artist}, {title}, {album}, ...)
+    crossfadeDuration: 0,        // Crossfade between tracks in seconds (0 = near-gapless)
+    crossfadeCurve: 'equalPower', // 'linear', 'equalPower' or 'tapeSplice'
+    normalization: 'off',         // Loudness normalization: 'off', 'track' or 'album'
+    cueSound: true,               // Play the cue / review sound while FF / REW is held
+    counterMode: 'tape',          // Tape counter: 'tape' (hub revolutions) or 'realtime' (M:SS)
+    cassetteMode: false,          // Lay the playlist out on Side A / Side B of a virtual tape
+    tapeLength: 'C60',            // Virtual tape length (see TAPE_LENGTHS)
+    autoReverse: true             // Continue on Side B at the end of Side A
+  }
+};
+
+// Tape formulation profiles (IEC Type I / II / IV)
+// Each profile retunes the hiss spectrum, high-frequency roll-off, head bump
+// and saturation headroom together, the way switching cassette stock would
+const TAPE_PROFILES = {
+  normal: {
+    label: 'Type I (Normal / Ferric)',
+    hissHighpass: 2000,       // Hz - lower edge of the hiss spectrum
+    hissShelfGain: 0,         // dB - hiss brightness above 6 kHz
+    hissLevel: 1.0,           // Hiss level multiplier
+    rolloffFrequency: 9000,   // Hz - high-frequency shelf corner
+    rolloffGain: -4,          // dB - high-frequency shelf depth
+    headBumpFrequency: 90,    // Hz - low-frequency head bump centre
+    headBumpGain: 2.5,        // dB
+    headroom: 1.0             // Saturation headroom (higher = cleaner)
+  },
+  chrome: {
+    label: 'Type II (Chrome / CrO2)',
+    hissHighpass: 3500,
+    hissShelfGain: -3,
+    hissLevel: 0.6,
+    rolloffFrequency: 12000,
+    rolloffGain: -2,
+    headBumpFrequency: 75,
+    headBumpGain: 1.5,
+    headroom: 1.4
+  },
+  metal: {
+    label: 'Type IV (Metal)',
+    hissHighpass: 4000,
+    hissShelfGain: -4,
+    hissLevel: 0.45,
+    rolloffFrequency: 15000,
+    rolloffGain: -1,
+    headBumpFrequency: 60,
+    headBumpGain: 1,
+    headroom: 2.0
+  }
+};
+
+// Noise reduction (Dolby B / C) emulation modes
+// The encoder boosts quiet treble before the tape, the decoder cuts it by the
+// same level-dependent amount after the tape, so hiss drops in quiet passages
+// and "breathes" with the music. Levels are the high-band level in dBFS.
+const NOISE_REDUCTION_MODES = {
+  off: null,
+  b: {
+    label: 'Dolby B',
+    shelfFrequency: 4000,   // Hz - sliding shelf corner
+    maxGain: 10,            // dB - companding at low levels
+    fullGainLevel: -45,     // dBFS - below this the full boost is applied
+    noGainLevel: -15,       // dBFS - above this no boost is applied
+    encode: true,
+    trackingError: 0        // dB - decoder level offset
+  },
+  c: {
+    label: 'Dolby C',
+    shelfFrequency: 1500,
+    maxGain: 20,
+    fullGainLevel: -50,
+    noGainLevel: -12,
+    encode: true,
+    trackingError: 0
+  },
+  mistracked: {
+    // Decoder running without a matching encode: quiet passages lose their
+    // treble and the top end pumps with the music
+    label: 'Dolby B (mis-tracked)',
+    shelfFrequency: 3000,
+    maxGain: 10,
+    fullGainLevel: -45,
+    noGainLevel: -15,
+    encode: false,
+    trackingError: 3
   }
 };
 
+// Tape wear and ageing
+const TAPE_WEAR = {
+  agePerPlay: 0.02,         // Extra age per completed play (automatic mode)
+  dropoutsPerSecond: 0.8,   // Dropout rate on a fully worn tape
+  dropoutDepth: 0.7,        // Max level loss during a dropout (fraction)
+  dropoutTrebleLoss: -18,   // dB - max treble loss during a dropout
+  wanderDepth: 0.2,         // Max slow level wander on a fully worn tape (fraction)
+  highCutLoss: 0.45,        // Fraction of the high cut-off lost when fully worn
+  hissIncrease: 2,          // Extra hiss multiplier when fully worn
+  saturationIncrease: 0.5   // Extra saturation when fully worn (oxide loses headroom)
+};
+
+// Head azimuth and stereo image (values at full control setting)
+const STEREO_IMAGE = {
+  maxAzimuthDelay: 0.00015,  // s - inter-channel time offset (mono null near 3.3 kHz)
+  azimuthWobble: 0.15,       // Relative wobble of the offset as the tape skews
+  maxCrosstalk: 0.3,         // Opposite channel leakage (about -10 dB)
+  maxBalanceDrift: 0.17      // Max gain swing per channel (about 1.5 dB)
+};
+
+// Graphic equalizer band centre frequencies (Hz)
+const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+// Built-in equalizer presets (preamp and band gains in dB)
+const EQ_PRESETS = {
+  flat: { label: 'Flat', preamp: 0, bands: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  rock: { label: 'Rock', preamp: -4, bands: [5, 4, 3, 1, -1, -1, 1, 3, 4, 5] },
+  pop: { label: 'Pop', preamp: -3, bands: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2] },
+  jazz: { label: 'Jazz', preamp: -2, bands: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3] },
+  classical: { label: 'Classical', preamp: -3, bands: [4, 3, 2, 1, 0, 0, 0, 1, 2, 3] },
+  loudness: { label: 'Loudness', preamp: -4, bands: [6, 4, 1, 0, -1, 0, 0, 1, 4, 5] },
+  bassBoost: { label: 'Bass Boost', preamp: -5, bands: [7, 6, 4, 2, 0, 0, 0, 0, 0, 0] },
+  trebleBoost: { label: 'Treble Boost', preamp: -5, bands: [0, 0, 0, 0, 0, 1, 2, 4, 6, 7] },
+  vocal: { label: 'Vocal', preamp: -3, bands: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1] }
+};
+
 // ============================================================================
 // GLOBAL STATE
 // ============================================================================
@@ -94,13 +243,35 @@ let animationId;
 // Audio state
 let audioState = {
   audioContext: null,
-  audioElement: null,
-  sourceNode: null,
+  audioElement: null,   // Media element of the active deck
+  decks: [],            // Two playback decks (see createDeck) for gapless playback
+  activeDeck: 0,
+  nextTrackIndex: null, // Cached pick for the track after the current one
+  handoffTimer: null,   // Pending gapless deck switch
+  crossfadeTimer: null, // Stops the outgoing deck when a crossfade completes
   effectNodes: null,
   isPlaying: false,
   currentTrackIndex: 0,
   audioFiles: [],
-  folderPath: null
+  folderPath: null,
+  modulationTimer: null,
+  initPromise: null,
+  playCounts: {},  // Completed plays per track (keyed by getTrackKey)
+  queue: [],       // Tracks to play next, before the normal order (keyed by getTrackKey)
+  savedLoops: {}   // A-B loops remembered per file (keyed by getTrackKey)
+};
+
+// Tape wear modulation state (dropouts and level wander)
+let tapeWearState = {
+  dropoutUntil: 0,
+  wanderLevel: 1,
+  nextWanderTime: 0
+};
+
+// Stereo image drift state (azimuth wobble and balance drift)
+let stereoDriftState = {
+  nextAzimuthTime: 0,
+  nextBalanceTime: 0
 };
 
 // Animation state
@@ -112,6 +283,8 @@ let dragStartMouse = { x: 0, y: 0 };
 
 // UI references
 let screenCanvas, screenCtx, screenTexture;
+let counterCanvas, counterCtx, counterTexture;
+let speedTrimmerSlot = null;
 
 // ============================================================================
 // INITIALIZATION
@@ -121,7 +294,7 @@ async function init() {
   document.getElementById('loading').classList.add('hidden');
 
   // Load saved settings
-  await loadSavedSettings();
+  const savedPlayback = await loadSavedSettings();
 
   // Setup Three.js
   setupThreeJS();
@@ -147,11 +320,23 @@ async function init() {
 
   // Start animation loop
   animate();
+
+  // Keep the position inside the track for the next launch
+  startPositionSaving();
+
+  // The saved folder is rescanned in the background; auto-resume once it is loaded
+  if (savedPlayback) {
+    const restored = await restorePlaybackState(savedPlayback);
+    if (restored && CONFIG.playback.autoResume) {
+      await resumeOnLaunch();
+    }
+  }
 }
 
-// Load settings from persistent storage (Electron only)
+// Load settings from persistent storage (Electron only). Returns the saved playback
+// state (folder and track) for restorePlaybackState, or null
 async function loadSavedSettings() {
-  if (!isElectron) return;
+  if (!isElectron) return null;
 
   try {
     if (window.electronAPI.getSettings) {
@@ -166,6 +351,18 @@ async function loadSavedSettings() {
           CONFIG.audio.lowCutoff = settings.audio.lowCutoff ?? CONFIG.audio.lowCutoff;
           CONFIG.audio.highCutoff = settings.audio.highCutoff ?? CONFIG.audio.highCutoff;
           CONFIG.audio.effectsEnabled = settings.audio.effectsEnabled ?? CONFIG.audio.effectsEnabled;
+          CONFIG.audio.tapeType = settings.audio.tapeType ?? CONFIG.audio.tapeType;
+          CONFIG.audio.noiseReduction = settings.audio.noiseReduction ?? CONFIG.audio.noiseReduction;
+          CONFIG.audio.tapeAge = settings.audio.tapeAge ?? CONFIG.audio.tapeAge;
+          CONFIG.audio.tapeAgeAuto = settings.audio.tapeAgeAuto ?? CONFIG.audio.tapeAgeAuto;
+          CONFIG.audio.azimuthError = settings.audio.azimuthError ?? CONFIG.audio.azimuthError;
+          CONFIG.audio.crosstalk = settings.audio.crosstalk ?? CONFIG.audio.crosstalk;
+          CONFIG.audio.balanceDrift = settings.audio.balanceDrift ?? CONFIG.audio.balanceDrift;
+          CONFIG.audio.mechanismSounds = settings.audio.mechanismSounds ?? CONFIG.audio.mechanismSounds;
+          CONFIG.audio.clunkLevel = settings.audio.clunkLevel ?? CONFIG.audio.clunkLevel;
+          CONFIG.audio.motorLevel = settings.audio.motorLevel ?? CONFIG.audio.motorLevel;
+          CONFIG.audio.releaseLevel = settings.audio.releaseLevel ?? CONFIG.audio.releaseLevel;
+          CONFIG.audio.whineLevel = settings.audio.whineLevel ?? CONFIG.audio.whineLevel;
         }
         // Apply appearance settings
         if (settings.appearance) {
@@ -175,50 +372,110 @@ async function loadSavedSettings() {
           CONFIG.appearance.gradientAngle = settings.appearance.gradientAngle ?? CONFIG.appearance.gradientAngle;
           CONFIG.appearance.backgroundOpacity = settings.appearance.backgroundOpacity ?? CONFIG.appearance.backgroundOpacity;
         }
+        // Apply equalizer settings
+        if (settings.equalizer) {
+          CONFIG.equalizer.enabled = settings.equalizer.enabled ?? CONFIG.equalizer.enabled;
+          CONFIG.equalizer.preamp = settings.equalizer.preamp ?? CONFIG.equalizer.preamp;
+          CONFIG.equalizer.preset = settings.equalizer.preset ?? CONFIG.equalizer.preset;
+          CONFIG.equalizer.userPresets = settings.equalizer.userPresets ?? CONFIG.equalizer.userPresets;
+          if (Array.isArray(settings.equalizer.bands) && settings.equalizer.bands.length === EQ_FREQUENCIES.length) {
+            CONFIG.equalizer.bands = settings.equalizer.bands.slice();
+          }
+        }
         // Apply UI settings
         if (settings.ui) {
           CONFIG.ui.showControlsHint = settings.ui.showControlsHint ?? CONFIG.ui.showControlsHint;
+          CONFIG.ui.showCoverArt = settings.ui.showCoverArt ?? CONFIG.ui.showCoverArt;
         }
         // Apply playback settings
         if (settings.playback) {
           CONFIG.playback.shuffleEnabled = settings.playback.shuffleEnabled ?? CONFIG.playback.shuffleEnabled;
+          CONFIG.playback.repeatMode = settings.playback.repeatMode ?? CONFIG.playback.repeatMode;
+          CONFIG.playback.autoResume = settings.playback.autoResume ?? CONFIG.playback.autoResume;
+          CONFIG.playback.speed = settings.playback.speed ?? CONFIG.playback.speed;
+          CONFIG.playback.preservePitch = settings.playback.preservePitch ?? CONFIG.playback.preservePitch;
+          CONFIG.playback.sleepRunDown = settings.playback.sleepRunDown ?? CONFIG.playback.sleepRunDown;
+          CONFIG.playback.loopSeamFade = settings.playback.loopSeamFade ?? CONFIG.playback.loopSeamFade;
+          CONFIG.playback.saveLoops = settings.playback.saveLoops ?? CONFIG.playback.saveLoops;
+          CONFIG.playback.skipPolicy = settings.playback.skipPolicy ?? CONFIG.playback.skipPolicy;
+          CONFIG.playback.titleFormat = settings.playback.titleFormat ?? CONFIG.playback.titleFormat;
+          audioState.savedLoops = settings.playback.savedLoops || {};
+          CONFIG.playback.crossfadeDuration = settings.playback.crossfadeDuration ?? CONFIG.playback.crossfadeDuration;
+          CONFIG.playback.crossfadeCurve = settings.playback.crossfadeCurve ?? CONFIG.playback.crossfadeCurve;
+          CONFIG.playback.normalization = settings.playback.normalization ?? CONFIG.playback.normalization;
+          CONFIG.playback.cueSound = settings.playback.cueSound ?? CONFIG.playback.cueSound;
+          CONFIG.playback.counterMode = settings.playback.counterMode ?? CONFIG.playback.counterMode;
+          CONFIG.playback.cassetteMode = settings.playback.cassetteMode ?? CONFIG.playback.cassetteMode;
+          CONFIG.playback.tapeLength = settings.playback.tapeLength ?? CONFIG.playback.tapeLength;
+          CONFIG.playback.autoReverse = settings.playback.autoReverse ?? CONFIG.playback.autoReverse;
+          audioState.playCounts = settings.playback.playCounts || {};
+          audioState.queue = settings.playback.queue || [];
         }
-        // Restore playback state (folder and track)
+        // Playback state (folder and track) is restored once the player is set up
         if (settings.playback && settings.playback.folderPath) {
-          await restorePlaybackState(settings.playback);
+          return settings.playback;
         }
       }
     }
   } catch (error) {
     console.error('Error loading settings:', error);
   }
+  return null;
 }
 
-// Restore playback state from saved settings
+// Restore playback state from saved settings. Returns true when the folder was
+// loaded (false if it is gone, empty, or its scan was cancelled)
 async function restorePlaybackState(playbackSettings) {
   try {
-    if (!playbackSettings.folderPath) return;
+    if (!playbackSettings.folderPath) return false;
+
+    // Library folders are loaded from the index (and rescanned in the background once
+    // restored); other folders are rescanned
+    let audioFiles = await getLibraryTracks(playbackSettings.folderPath);
+    const fromIndex = !!audioFiles && audioFiles.length > 0;
+    let skippedNote = '';
+    if (!fromIndex) {
+      const result = await scanFolder(() => window.electronAPI.startFolderScan(playbackSettings.folderPath));
+      audioFiles = result && !result.cancelled ? result.audioFiles : [];
+      skippedNote = result ? formatScanSkipped(result) : '';
+    }
 
-    // Get audio files from the saved folder
-    const result = await window.electronAPI.getAudioFilesFromPath(playbackSettings.folderPath);
-    if (result && result.audioFiles && result.audioFiles.length > 0) {
+    if (audioFiles.length > 0) {
       audioState.folderPath = playbackSettings.folderPath;
-      audioState.audioFiles = result.audioFiles;
+      audioState.audioFiles = audioFiles;
 
-      // Restore track index, clamping to valid range
-      let trackIndex = playbackSettings.currentTrackIndex || 0;
+      // Restore the track by path (the folder may have been rescanned in a different
+      // order), falling back to the saved index, clamped to the valid range
+      let trackIndex = playbackSettings.currentTrackPath
+        ? findTrackIndexByKey(playbackSettings.currentTrackPath)
+        : -1;
+      if (trackIndex < 0) {
+        trackIndex = playbackSettings.currentTrackIndex || 0;
+      }
       if (trackIndex >= audioState.audioFiles.length) {
         trackIndex = 0;
       }
 
       audioState.currentTrackIndex = trackIndex;
       const track = audioState.audioFiles[trackIndex];
-      updateScreenText(track.name);
-      updateStatusBar(`Restored: ${audioState.audioFiles.length} tracks`);
+
+      // The position only applies to the file it was saved for
+      if (playbackSettings.currentTrackPath === getTrackKey(track) && playbackSettings.position > 0) {
+        resumeState.trackKey = playbackSettings.currentTrackPath;
+        resumeState.position = playbackSettings.position;
+      }
+      updateScreenText(getTrackTitle(track));
+      updateStatusBar(`Restored: ${audioState.audioFiles.length} tracks${skippedNote}`);
+      watchLoadedFolder(audioState.folderPath);
+      if (fromIndex) {
+        refreshLibraryPlaylist(audioState.folderPath);  // Not awaited: playback can start meanwhile
+      }
+      return true;
     }
   } catch (error) {
     console.error('Error restoring playback state:', error);
   }
+  return false;
 }
 
 // Save current settings to persistent storage (Electron only)
@@ -235,7 +492,19 @@ function saveCurrentSettings() {
           saturationLevel: CONFIG.audio.saturationLevel,
           lowCutoff: CONFIG.audio.lowCutoff,
           highCutoff: CONFIG.audio.highCutoff,
-          effectsEnabled: CONFIG.audio.effectsEnabled
+          effectsEnabled: CONFIG.audio.effectsEnabled,
+          tapeType: CONFIG.audio.tapeType,
+          noiseReduction: CONFIG.audio.noiseReduction,
+          tapeAge: CONFIG.audio.tapeAge,
+          tapeAgeAuto: CONFIG.audio.tapeAgeAuto,
+          azimuthError: CONFIG.audio.azimuthError,
+          crosstalk: CONFIG.audio.crosstalk,
+          balanceDrift: CONFIG.audio.balanceDrift,
+          mechanismSounds: CONFIG.audio.mechanismSounds,
+          clunkLevel: CONFIG.audio.clunkLevel,
+          motorLevel: CONFIG.audio.motorLevel,
+          releaseLevel: CONFIG.audio.releaseLevel,
+          whineLevel: CONFIG.audio.whineLevel
         },
         appearance: {
           gradientEnabled: CONFIG.appearance.gradientEnabled,
@@ -244,13 +513,43 @@ function saveCurrentSettings() {
           gradientAngle: CONFIG.appearance.gradientAngle,
           backgroundOpacity: CONFIG.appearance.backgroundOpacity
         },
+        equalizer: {
+          enabled: CONFIG.equalizer.enabled,
+          preamp: CONFIG.equalizer.preamp,
+          bands: CONFIG.equalizer.bands,
+          preset: CONFIG.equalizer.preset,
+          userPresets: CONFIG.equalizer.userPresets
+        },
         ui: {
-          showControlsHint: CONFIG.ui.showControlsHint
+          showControlsHint: CONFIG.ui.showControlsHint,
+          showCoverArt: CONFIG.ui.showCoverArt
         },
         playback: {
           folderPath: audioState.folderPath,
           currentTrackIndex: audioState.currentTrackIndex,
-          shuffleEnabled: CONFIG.playback.shuffleEnabled
+          currentTrackPath: getCurrentTrackKey(),
+          position: getResumePosition(),
+          shuffleEnabled: CONFIG.playback.shuffleEnabled,
+          repeatMode: CONFIG.playback.repeatMode,
+          autoResume: CONFIG.playback.autoResume,
+          speed: CONFIG.playback.speed,
+          preservePitch: CONFIG.playback.preservePitch,
+          sleepRunDown: CONFIG.playback.sleepRunDown,
+          loopSeamFade: CONFIG.playback.loopSeamFade,
+          saveLoops: CONFIG.playback.saveLoops,
+          skipPolicy: CONFIG.playback.skipPolicy,
+          titleFormat: CONFIG.playback.titleFormat,
+          savedLoops: audioState.savedLoops,
+          crossfadeDuration: CONFIG.playback.crossfadeDuration,
+          crossfadeCurve: CONFIG.playback.crossfadeCurve,
+          normalization: CONFIG.playback.normalization,
+          cueSound: CONFIG.playback.cueSound,
+          counterMode: CONFIG.playback.counterMode,
+          cassetteMode: CONFIG.playback.cassetteMode,
+          tapeLength: CONFIG.playback.tapeLength,
+          autoReverse: CONFIG.playback.autoReverse,
+          playCounts: audioState.playCounts,
+          queue: audioState.queue
         }
       };
       window.electronAPI.saveSettings(settings);
@@ -447,6 +746,16 @@ function createCassettePlayer() {
   cassetteArea.position.set(-bodyWidth * 0.05, bodyHeight * 0.58, bodyDepth / 2 + 0.001);
   group.add(cassetteArea);
 
+  // Cassette label seen through the window: the track's cover art (hidden without one)
+  const coverLabel = new THREE.Mesh(
+    new THREE.PlaneGeometry(windowWidth, windowHeight),
+    new THREE.MeshBasicMaterial({ color: 0xd0d0d0 })
+  );
+  coverLabel.position.set(-bodyWidth * 0.05, bodyHeight * 0.58, bodyDepth / 2 + 0.0026);
+  coverLabel.visible = false;
+  group.add(coverLabel);
+  group.userData.coverLabel = coverLabel;
+
   // Cassette window (transparent, shows reels)
   const cassetteWindow = new THREE.Mesh(
     new THREE.BoxGeometry(windowWidth, windowHeight, 0.002),
@@ -590,12 +899,15 @@ function createCassettePlayer() {
   const sliderButtonGeometry = new THREE.BoxGeometry(0.010, 0.004, 0.007);
   const symbolMaterial = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.5 });
 
-  // Button configurations: [name, type, xOffset, symbol]
+  // Button configurations: [name, type, xOffset, hold]
+  // Hold buttons (FF / REW) act while pressed instead of on click
   const buttons = [
+    { name: 'rewButton', type: 'rew', x: -buttonSpacing * 2.5, hold: true },
     { name: 'prevButton', type: 'prev', x: -buttonSpacing * 1.5 },
     { name: 'playButton', type: 'play', x: -buttonSpacing * 0.5 },
     { name: 'stopButton', type: 'stop', x: buttonSpacing * 0.5 },
-    { name: 'nextButton', type: 'next', x: buttonSpacing * 1.5 }
+    { name: 'nextButton', type: 'next', x: buttonSpacing * 1.5 },
+    { name: 'ffButton', type: 'ff', x: buttonSpacing * 2.5, hold: true }
   ];
 
   buttons.forEach(btn => {
@@ -604,6 +916,7 @@ function createCassettePlayer() {
     button.name = btn.name;
     button.userData.buttonType = btn.type;
     button.userData.isButton = true;
+    button.userData.isHoldButton = !!btn.hold;
     buttonsGroup.add(button);
 
     // Add larger invisible collision box for easier clicking/tapping
@@ -617,6 +930,7 @@ function createCassettePlayer() {
     collisionBox.name = btn.name + 'Collision';
     collisionBox.userData.buttonType = btn.type;
     collisionBox.userData.isButton = true;
+    collisionBox.userData.isHoldButton = !!btn.hold;
     buttonsGroup.add(collisionBox);
   });
 
@@ -643,6 +957,99 @@ function createCassettePlayer() {
   playDotCollision.userData.isButton = true;
   buttonsGroup.add(playDotCollision);
 
+  // 3-digit tape counter (bottom right, next to the LCD)
+  const counterWidth = 0.014;
+  const counterHeight = 0.0065;
+  const counterX = bodyWidth * 0.41;
+  const counterY = bodyHeight * 0.14;
+
+  const counterBezel = new THREE.Mesh(
+    new THREE.BoxGeometry(counterWidth + 0.002, counterHeight + 0.002, 0.001),
+    darkPanelMaterial
+  );
+  counterBezel.position.set(counterX, counterY, bodyDepth / 2 + 0.001);
+  group.add(counterBezel);
+
+  counterCanvas = document.createElement('canvas');
+  counterCanvas.width = 96;
+  counterCanvas.height = 40;
+  counterCtx = counterCanvas.getContext('2d');
+  counterTexture = new THREE.CanvasTexture(counterCanvas);
+
+  // Clicking the digits switches between tape and real-time mode
+  const counterDisplay = new THREE.Mesh(
+    new THREE.PlaneGeometry(counterWidth, counterHeight),
+    new THREE.MeshBasicMaterial({ map: counterTexture })
+  );
+  counterDisplay.position.set(counterX, counterY, bodyDepth / 2 + 0.0016);
+  counterDisplay.name = 'counterDisplay';
+  counterDisplay.userData.buttonType = 'counterMode';
+  counterDisplay.userData.isButton = true;
+  buttonsGroup.add(counterDisplay);
+  drawTapeCounter(true);
+
+  // Counter reset button
+  const counterReset = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.0018, 0.0018, 0.002, 12),
+    metalMaterial
+  );
+  counterReset.rotation.x = Math.PI / 2;
+  counterReset.position.set(counterX, counterY + counterHeight / 2 + 0.0045, bodyDepth / 2 + 0.001);
+  counterReset.name = 'counterResetButton';
+  counterReset.userData.buttonType = 'counterReset';
+  counterReset.userData.isButton = true;
+  buttonsGroup.add(counterReset);
+
+  // A-B loop key left of the LCD (set A, set B, clear)
+  const loopKeyX = -bodyWidth * 0.455;
+  const loopKeyY = bodyHeight * 0.15;
+
+  const loopKeyCanvas = document.createElement('canvas');
+  loopKeyCanvas.width = 64;
+  loopKeyCanvas.height = 40;
+  const loopKeyCtx = loopKeyCanvas.getContext('2d');
+  loopKeyCtx.fillStyle = '#2a2a3e';
+  loopKeyCtx.fillRect(0, 0, 64, 40);
+  loopKeyCtx.fillStyle = '#d0d0d0';
+  loopKeyCtx.font = 'bold 22px "Segoe UI", Arial, sans-serif';
+  loopKeyCtx.textAlign = 'center';
+  loopKeyCtx.textBaseline = 'middle';
+  loopKeyCtx.fillText('A-B', 32, 21);
+
+  const loopKey = new THREE.Mesh(
+    new THREE.PlaneGeometry(0.0075, 0.0047),
+    new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(loopKeyCanvas) })
+  );
+  loopKey.position.set(loopKeyX, loopKeyY, bodyDepth / 2 + 0.002);
+  loopKey.name = 'abLoopButton';
+  loopKey.userData.buttonType = 'abLoop';
+  loopKey.userData.isButton = true;
+  buttonsGroup.add(loopKey);
+
+  // Speed trimmer on the left side panel: the screwdriver slot turns with the speed.
+  // Scroll over it to trim, click to centre
+  const trimmerX = -bodyWidth / 2 - 0.0025;
+  const trimmerY = bodyHeight * 0.3;
+
+  const speedTrimmer = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.0035, 0.0035, 0.0015, 16),
+    metalMaterial
+  );
+  speedTrimmer.rotation.z = Math.PI / 2;
+  speedTrimmer.position.set(trimmerX, trimmerY, 0);
+  speedTrimmer.name = 'speedTrimmer';
+  speedTrimmer.userData.buttonType = 'speedTrimmer';
+  speedTrimmer.userData.isButton = true;
+  buttonsGroup.add(speedTrimmer);
+
+  speedTrimmerSlot = new THREE.Mesh(
+    new THREE.BoxGeometry(0.0004, 0.0055, 0.0008),
+    blackMaterial
+  );
+  speedTrimmerSlot.position.set(trimmerX - 0.0008, trimmerY, 0);
+  group.add(speedTrimmerSlot);
+  updateSpeedTrimmer();
+
   group.add(buttonsGroup);
   group.userData.buttonsGroup = buttonsGroup;
 
@@ -736,60 +1143,233 @@ function createCassettePlayer() {
 // ============================================================================
 // SCREEN UPDATE
 // ============================================================================
+// Text currently shown on the LCD (indicators are drawn around it by renderScreen)
+let screenText = '';
+
 function updateScreenText(text) {
+  screenText = text;
+  renderScreen();
+}
+
+// Draw the LCD: side and loop indicators on the left, sleep timer on the right, text in between
+function renderScreen() {
   if (!screenCtx) return;
 
   screenCtx.fillStyle = CONFIG.player.screenColor;
   screenCtx.fillRect(0, 0, 256, 32);
   screenCtx.fillStyle = CONFIG.player.textColor;
+  screenCtx.textBaseline = 'middle';
+
+  // Cassette mode side / tape direction and the A-B loop
+  let textLeft = 8;
+  const indicators = [getScreenSideIndicator(), getScreenLoopIndicator()].filter(Boolean).join(' ');
+  if (indicators) {
+    screenCtx.font = 'bold 13px "Segoe UI", Arial, sans-serif';
+    screenCtx.textAlign = 'left';
+    screenCtx.fillText(indicators, 6, 16);
+    textLeft = 8 + screenCtx.measureText(indicators).width + 4;
+  }
+
+  // Sleep timer: remaining time on the right
+  let textRight = 248;
+  const sleep = getScreenSleepIndicator();
+  if (sleep) {
+    screenCtx.font = 'bold 11px "Segoe UI", Arial, sans-serif';
+    screenCtx.textAlign = 'right';
+    screenCtx.fillText(sleep, 250, 16);
+    textRight = 248 - screenCtx.measureText(sleep).width - 6;
+  }
+
   screenCtx.font = '300 14px "Segoe UI", Arial, sans-serif';
   screenCtx.textAlign = 'center';
-  screenCtx.textBaseline = 'middle';
 
   // Truncate long text
-  let displayText = text;
-  if (screenCtx.measureText(text).width > 240) {
-    while (screenCtx.measureText(displayText + '...').width > 240 && displayText.length > 0) {
+  const maxWidth = textRight - textLeft;
+  let displayText = screenText;
+  if (screenCtx.measureText(screenText).width > maxWidth) {
+    while (screenCtx.measureText(displayText + '...').width > maxWidth && displayText.length > 0) {
       displayText = displayText.slice(0, -1);
     }
     displayText += '...';
   }
 
-  screenCtx.fillText(displayText, 128, 16);
+  screenCtx.fillText(displayText, (textLeft + textRight) / 2, 16);
 
   if (screenTexture) {
     screenTexture.needsUpdate = true;
   }
 }
 
+// ============================================================================
+// TAPE COUNTER
+// ============================================================================
+
+// The counter is geared to the take-up hub, which turns slower as the tape pack
+// grows: with pack radius r = sqrt(r0² + v·d·t/π) the hub has made (r - r0) / d turns
+const COUNTER_HUB_RADIUS = 11;          // mm, empty hub
+const COUNTER_TAPE_SPEED = 47.6;        // mm/s (1 7/8 ips)
+const COUNTER_TAPE_THICKNESS = 0.012;   // mm (C60 tape)
+const COUNTER_GEAR_RATIO = 0.6;         // Counts per hub revolution (~500 per C60 side)
+
+// Tape travel since the last reset, followed from the active deck's position
+const tapeCounter = {
+  seconds: 0,
+  source: null,    // Media source the position belongs to (new track = no travel)
+  position: 0,
+  drawnKey: ''
+};
+
+// Counter reading for `seconds` of tape travel (negative before the reset point)
+function getTapeCounterReading(seconds) {
+  const r0 = COUNTER_HUB_RADIUS;
+  const growth = COUNTER_TAPE_SPEED * COUNTER_TAPE_THICKNESS / Math.PI;
+  const radius = Math.sqrt(r0 * r0 + growth * Math.abs(seconds));
+  return Math.sign(seconds) * COUNTER_GEAR_RATIO * (radius - r0) / COUNTER_TAPE_THICKNESS;
+}
+
+// Odometer wheels (least significant first): each wheel only rolls while
+// all lower wheels pass from their last digit to 0
+function getCounterWheels(value, bases) {
+  const wheels = [];
+  let divisor = 1;
+  let offset = 0;
+  let carrying = true;
+
+  bases.forEach((base, i) => {
+    const position = value / divisor;
+    const digit = Math.floor(position) % base;
+    if (i === 0) {
+      offset = position - Math.floor(position);
+    }
+    wheels.push({ digit, base, offset: carrying ? offset : 0 });
+    carrying = carrying && digit === base - 1;
+    divisor *= base;
+  });
+
+  return wheels;
+}
+
+// Follow the tape position (called every animation frame, in step with the reels)
+function updateTapeCounter() {
+  const element = audioState.audioElement;
+
+  if (element && element.src) {
+    if (element.src === tapeCounter.source) {
+      tapeCounter.seconds += element.currentTime - tapeCounter.position;
+    }
+    tapeCounter.source = element.src;
+    tapeCounter.position = element.currentTime;
+  }
+
+  drawTapeCounter();
+}
+
+function resetTapeCounter() {
+  tapeCounter.seconds = 0;
+  drawTapeCounter(true);
+}
+
+function toggleCounterMode() {
+  CONFIG.playback.counterMode = CONFIG.playback.counterMode === 'realtime' ? 'tape' : 'realtime';
+  document.getElementById('select-counter-mode').value = CONFIG.playback.counterMode;
+  drawTapeCounter(true);
+  saveCurrentSettings();
+}
+
+// Draw the rolling digits (only when a wheel has visibly moved)
+function drawTapeCounter(force) {
+  if (!counterCtx) return;
+
+  let wheels;
+  if (CONFIG.playback.counterMode === 'realtime') {
+    // M:SS elapsed since the reset, wrapping after 9:59
+    const seconds = ((tapeCounter.seconds % 600) + 600) % 600;
+    wheels = getCounterWheels(seconds, [10, 6, 10]);
+  } else {
+    const reading = ((getTapeCounterReading(tapeCounter.seconds) % 1000) + 1000) % 1000;
+    wheels = getCounterWheels(reading, [10, 10, 10]);
+  }
+
+  const key = CONFIG.playback.counterMode + wheels.map(w => w.digit + '.' + Math.round(w.offset * 20)).join(',');
+  if (!force && key === tapeCounter.drawnKey) return;
+  tapeCounter.drawnKey = key;
+
+  const width = counterCanvas.width;
+  const height = counterCanvas.height;
+  const cellWidth = width / 3;
+
+  counterCtx.fillStyle = '#111111';
+  counterCtx.fillRect(0, 0, width, height);
+  counterCtx.font = 'bold 30px "Courier New", monospace';
+  counterCtx.textAlign = 'center';
+  counterCtx.textBaseline = 'middle';
+
+  // Most significant wheel on the left
+  wheels.slice().reverse().forEach((wheel, i) => {
+    const x = i * cellWidth;
+    counterCtx.save();
+    counterCtx.beginPath();
+    counterCtx.rect(x + 2, 0, cellWidth - 4, height);
+    counterCtx.clip();
+
+    counterCtx.fillStyle = '#e8e8e8';
+    counterCtx.fillRect(x + 2, 0, cellWidth - 4, height);
+    counterCtx.fillStyle = '#111111';
+    const y = height / 2 - wheel.offset * height;
+    counterCtx.fillText(String(wheel.digit), x + cellWidth / 2, y + 1);
+    counterCtx.fillText(String((wheel.digit + 1) % wheel.base), x + cellWidth / 2, y + height + 1);
+    counterCtx.restore();
+  });
+
+  // Real-time mode: minutes / seconds separator
+  if (CONFIG.playback.counterMode === 'realtime') {
+    counterCtx.fillStyle = CONFIG.player.accentColor;
+    counterCtx.fillRect(cellWidth - 2, height * 0.3, 4, 4);
+    counterCtx.fillRect(cellWidth - 2, height * 0.6, 4, 4);
+  }
+
+  if (counterTexture) {
+    counterTexture.needsUpdate = true;
+  }
+}
+
 // ============================================================================
 // AUDIO SYSTEM
 // ============================================================================
+// Create the audio graph once; repeated calls share the same initialization
 function initAudioContext() {
-  if (audioState.audioContext) return;
+  if (!audioState.initPromise) {
+    audioState.initPromise = createAudioGraph();
+  }
+  return audioState.initPromise;
+}
 
+async function createAudioGraph() {
   audioState.audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
-  // Create audio element
-  audioState.audioElement = new Audio();
-  audioState.audioElement.crossOrigin = 'anonymous';
-
-  // Create source node from audio element
-  audioState.sourceNode = audioState.audioContext.createMediaElementSource(audioState.audioElement);
+  // Create two playback decks; the standby deck preloads the next track
+  audioState.decks = [createDeck(audioState.audioContext), createDeck(audioState.audioContext)];
+  audioState.activeDeck = 0;
+  audioState.audioElement = audioState.decks[0].element;
 
   // Create cassette effect nodes
   audioState.effectNodes = createCassetteAudioNodes(audioState.audioContext);
 
+  // AudioWorklet tape engine replaces the native wow/flutter, saturation and hiss nodes
+  audioState.effectNodes.tapeEngine = await createTapeEngineNode(audioState.audioContext);
+
   // Connect audio chain
   connectAudioChain();
-
-  // Audio element events
-  audioState.audioElement.addEventListener('ended', onTrackEnded);
-  audioState.audioElement.addEventListener('error', onAudioError);
 }
 
 function createCassetteAudioNodes(audioContext) {
   const nodes = {};
+  const profile = getTapeProfile();
+
+  // Graphic equalizer (in front of the tape chain, shared by the bypass path)
+  nodes.eqPreamp = audioContext.createGain();
+  nodes.eqBands = createEqualizerBands(audioContext);
+  applyEqualizer(nodes);
 
   // Tape hiss generator (white noise)
   const bufferSize = 2 * audioContext.sampleRate;
@@ -799,27 +1379,35 @@ function createCassetteAudioNodes(audioContext) {
     output[i] = Math.random() * 2 - 1;
   }
 
+  nodes.noiseBuffer = noiseBuffer;  // Shared with the mechanism sounds
   nodes.noiseSource = audioContext.createBufferSource();
   nodes.noiseSource.buffer = noiseBuffer;
   nodes.noiseSource.loop = true;
 
   // Noise gain (for tape hiss level)
   nodes.noiseGain = audioContext.createGain();
-  nodes.noiseGain.gain.value = 0.015 * CONFIG.audio.tapeHissLevel;
+  nodes.noiseGain.gain.value = 0.015 * CONFIG.audio.tapeHissLevel * profile.hissLevel;
 
   // High-pass filter for noise (makes it sound like tape hiss)
   nodes.noiseHighpass = audioContext.createBiquadFilter();
   nodes.noiseHighpass.type = 'highpass';
-  nodes.noiseHighpass.frequency.value = 2000;
+  nodes.noiseHighpass.frequency.value = profile.hissHighpass;
+
+  // High shelf for noise (hiss brightness depends on tape formulation)
+  nodes.noiseShelf = audioContext.createBiquadFilter();
+  nodes.noiseShelf.type = 'highshelf';
+  nodes.noiseShelf.frequency.value = 6000;
+  nodes.noiseShelf.gain.value = profile.hissShelfGain;
 
   // Connect noise chain
   nodes.noiseSource.connect(nodes.noiseHighpass);
-  nodes.noiseHighpass.connect(nodes.noiseGain);
+  nodes.noiseHighpass.connect(nodes.noiseShelf);
+  nodes.noiseShelf.connect(nodes.noiseGain);
 
   // Low-pass filter (tape frequency limitation)
   nodes.lowpass = audioContext.createBiquadFilter();
   nodes.lowpass.type = 'lowpass';
-  nodes.lowpass.frequency.value = CONFIG.audio.highCutoff;
+  nodes.lowpass.frequency.value = getEffectiveHighCutoff();
   nodes.lowpass.Q.value = 0.7;
 
   // High-pass filter (remove very low frequencies)
@@ -828,6 +1416,19 @@ function createCassetteAudioNodes(audioContext) {
   nodes.highpass.frequency.value = CONFIG.audio.lowCutoff;
   nodes.highpass.Q.value = 0.7;
 
+  // Head bump (low-frequency resonance of the playback head)
+  nodes.headBump = audioContext.createBiquadFilter();
+  nodes.headBump.type = 'peaking';
+  nodes.headBump.frequency.value = profile.headBumpFrequency;
+  nodes.headBump.Q.value = 1.2;
+  nodes.headBump.gain.value = profile.headBumpGain;
+
+  // High-frequency roll-off (tape formulation treble response)
+  nodes.hfRolloff = audioContext.createBiquadFilter();
+  nodes.hfRolloff.type = 'highshelf';
+  nodes.hfRolloff.frequency.value = profile.rolloffFrequency;
+  nodes.hfRolloff.gain.value = profile.rolloffGain;
+
   // Mid-range boost (tape warmth)
   nodes.midBoost = audioContext.createBiquadFilter();
   nodes.midBoost.type = 'peaking';
@@ -864,13 +1465,75 @@ function createCassetteAudioNodes(audioContext) {
 
   // Soft saturation using waveshaper (tape saturation)
   nodes.saturation = audioContext.createWaveShaper();
-  nodes.saturation.curve = createSaturationCurve(CONFIG.audio.saturationLevel);
+  nodes.saturation.curve = createSaturationCurve(CONFIG.audio.saturationLevel / profile.headroom);
   nodes.saturation.oversample = '2x';
 
+  // Noise reduction encoder (high shelf before the tape saturation)
+  nodes.nrEncode = audioContext.createBiquadFilter();
+  nodes.nrEncode.type = 'highshelf';
+  nodes.nrEncode.gain.value = 0;
+
+  // Stereo head stage: split channels so azimuth, crosstalk and balance
+  // can act on each channel separately (mono sources are up-mixed)
+  nodes.stereoSplitter = audioContext.createChannelSplitter(2);
+  nodes.stereoSplitter.channelInterpretation = 'speakers';
+
+  // Azimuth error: inter-channel time offset
+  nodes.azimuthDelayL = audioContext.createDelay(0.01);
+  nodes.azimuthDelayL.delayTime.value = 0;
+  nodes.azimuthDelayR = audioContext.createDelay(0.01);
+  nodes.azimuthDelayR.delayTime.value = CONFIG.audio.azimuthError * STEREO_IMAGE.maxAzimuthDelay;
+
+  // Crosstalk matrix (direct and opposite-channel gains)
+  const crosstalk = CONFIG.audio.crosstalk * STEREO_IMAGE.maxCrosstalk;
+  ['crosstalkLL', 'crosstalkLR', 'crosstalkRL', 'crosstalkRR'].forEach(name => {
+    nodes[name] = audioContext.createGain();
+    const direct = name === 'crosstalkLL' || name === 'crosstalkRR';
+    nodes[name].gain.value = direct ? 1 / (1 + crosstalk) : crosstalk / (1 + crosstalk);
+  });
+
+  // Balance drift (per-channel gain)
+  nodes.balanceL = audioContext.createGain();
+  nodes.balanceR = audioContext.createGain();
+
+  nodes.stereoMerger = audioContext.createChannelMerger(2);
+
+  // Tape wear: treble loss during oxide dropouts
+  nodes.dropoutShelf = audioContext.createBiquadFilter();
+  nodes.dropoutShelf.type = 'highshelf';
+  nodes.dropoutShelf.frequency.value = 3000;
+  nodes.dropoutShelf.gain.value = 0;
+
+  // Tape wear: level loss during dropouts and slow level wander
+  nodes.wearGain = audioContext.createGain();
+  nodes.wearGain.gain.value = 1;
+
+  // Noise reduction decoder (high shelf after the tape, also applied to hiss)
+  nodes.nrDecode = audioContext.createBiquadFilter();
+  nodes.nrDecode.type = 'highshelf';
+  nodes.nrDecode.gain.value = 0;
+
+  // Noise reduction level detector (sidechain measuring high-band level)
+  nodes.nrDetector = audioContext.createBiquadFilter();
+  nodes.nrDetector.type = 'highpass';
+  nodes.nrDetector.Q.value = 0.7;
+
+  nodes.nrAnalyser = audioContext.createAnalyser();
+  nodes.nrAnalyser.fftSize = 1024;
+  nodes.nrLevelData = new Float32Array(nodes.nrAnalyser.fftSize);
+
   // Main gain
   nodes.mainGain = audioContext.createGain();
   nodes.mainGain.gain.value = CONFIG.audio.volume;
 
+  // Sleep timer fade (after the volume, so both can change independently)
+  nodes.sleepGain = audioContext.createGain();
+
+  // Mechanism sounds bus (mixed after the main gain, outside the tape chain). Its level
+  // follows the volume setting, and the sleep fade comes after both
+  nodes.mechanismGain = audioContext.createGain();
+  nodes.mechanismGain.gain.value = getMechanismLevel();
+
   // Output merger (combine music with noise)
   nodes.merger = audioContext.createGain();
 
@@ -890,6 +1553,136 @@ function createSaturationCurve(amount) {
   return curve;
 }
 
+// Load the AudioWorklet tape engine (transport modulation, saturation and
+// stereo hiss in one processor). Returns null when AudioWorklet is not
+// available so the native node chain is used instead.
+async function createTapeEngineNode(audioContext) {
+  if (!audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+    return null;
+  }
+
+  try {
+    await audioContext.audioWorklet.addModule('./tape-worklet.js');
+
+    const profile = getTapeProfile();
+    return new AudioWorkletNode(audioContext, 'tape-engine', {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [2],
+      parameterData: {
+        wowFlutter: CONFIG.audio.wowFlutterLevel,
+        saturation: CONFIG.audio.saturationLevel / profile.headroom,
+        hissLevel: 0,
+        hissHighpass: profile.hissHighpass,
+        hissShelfGain: profile.hissShelfGain
+      }
+    });
+  } catch (error) {
+    console.error('[Audio] Tape engine worklet unavailable, using native nodes:', error);
+    return null;
+  }
+}
+
+// Create one filter per equalizer band: shelves at the ends, peaking in between
+function createEqualizerBands(audioContext) {
+  return EQ_FREQUENCIES.map((frequency, index) => {
+    const band = audioContext.createBiquadFilter();
+    if (index === 0) {
+      band.type = 'lowshelf';
+    } else if (index === EQ_FREQUENCIES.length - 1) {
+      band.type = 'highshelf';
+    } else {
+      band.type = 'peaking';
+      band.Q.value = 1.4;
+    }
+    band.frequency.value = frequency;
+    band.gain.value = 0;
+    return band;
+  });
+}
+
+// Set equalizer preamp and band gains (flat when the equalizer is disabled)
+function applyEqualizer(nodes = audioState.effectNodes) {
+  if (!nodes || !nodes.eqBands) return;
+
+  const enabled = CONFIG.equalizer.enabled;
+  nodes.eqPreamp.gain.value = enabled ? Math.pow(10, CONFIG.equalizer.preamp / 20) : 1;
+  nodes.eqBands.forEach((band, index) => {
+    band.gain.value = enabled ? CONFIG.equalizer.bands[index] : 0;
+  });
+}
+
+// Get the active tape formulation profile (falls back to Type I)
+function getTapeProfile() {
+  return TAPE_PROFILES[CONFIG.audio.tapeType] || TAPE_PROFILES.normal;
+}
+
+// Set tape hiss level from current settings (silent when paused or effects are off)
+function updateNoiseGain() {
+  const nodes = audioState.effectNodes;
+  if (!nodes || !nodes.noiseGain) return;
+
+  const active = audioState.isPlaying && CONFIG.audio.effectsEnabled;
+  const wear = 1 + getTapeAge() * TAPE_WEAR.hissIncrease;
+  const level = active ? 0.015 * CONFIG.audio.tapeHissLevel * getTapeProfile().hissLevel * wear : 0;
+
+  if (nodes.tapeEngine) {
+    nodes.tapeEngine.parameters.get('hissLevel').value = level;
+  } else {
+    nodes.noiseGain.gain.value = level;
+  }
+}
+
+// Set wow & flutter depth from current settings
+function updateWowFlutter() {
+  const nodes = audioState.effectNodes;
+  if (!nodes) return;
+
+  if (nodes.tapeEngine) {
+    nodes.tapeEngine.parameters.get('wowFlutter').value = CONFIG.audio.wowFlutterLevel;
+  } else {
+    nodes.wowLFOGain.gain.value = 0.001 * CONFIG.audio.wowFlutterLevel;
+    nodes.flutterLFOGain.gain.value = 0.0005 * CONFIG.audio.wowFlutterLevel;
+  }
+}
+
+// Set tape saturation from current settings (scaled by the formulation headroom)
+function updateSaturation() {
+  const nodes = audioState.effectNodes;
+  if (!nodes) return;
+
+  const wear = 1 + getTapeAge() * TAPE_WEAR.saturationIncrease;
+  const amount = CONFIG.audio.saturationLevel * wear / getTapeProfile().headroom;
+  if (nodes.tapeEngine) {
+    nodes.tapeEngine.parameters.get('saturation').value = amount;
+  } else {
+    nodes.saturation.curve = createSaturationCurve(amount);
+  }
+}
+
+// Retune the tape chain for the selected formulation without rebuilding the graph
+function applyTapeProfile() {
+  const nodes = audioState.effectNodes;
+  if (!nodes) return;
+
+  const profile = getTapeProfile();
+  const now = audioState.audioContext.currentTime;
+  const smoothing = 0.05;
+
+  nodes.noiseHighpass.frequency.setTargetAtTime(profile.hissHighpass, now, smoothing);
+  nodes.noiseShelf.gain.setTargetAtTime(profile.hissShelfGain, now, smoothing);
+  nodes.hfRolloff.frequency.setTargetAtTime(profile.rolloffFrequency, now, smoothing);
+  nodes.hfRolloff.gain.setTargetAtTime(profile.rolloffGain, now, smoothing);
+  nodes.headBump.frequency.setTargetAtTime(profile.headBumpFrequency, now, smoothing);
+  nodes.headBump.gain.setTargetAtTime(profile.headBumpGain, now, smoothing);
+  if (nodes.tapeEngine) {
+    nodes.tapeEngine.parameters.get('hissHighpass').setTargetAtTime(profile.hissHighpass, now, smoothing);
+    nodes.tapeEngine.parameters.get('hissShelfGain').setTargetAtTime(profile.hissShelfGain, now, smoothing);
+  }
+  updateSaturation();
+  updateNoiseGain();
+}
+
 function connectAudioChain() {
   const nodes = audioState.effectNodes;
   const ctx = audioState.audioContext;
@@ -902,181 +1695,2543 @@ function connectAudioChain() {
   nodes.effectsGain = ctx.createGain();
   nodes.effectsGain.gain.value = CONFIG.audio.effectsEnabled ? 1 : 0;
 
-  // Source -> bypass (direct to mainGain, no effects)
-  audioState.sourceNode.connect(nodes.bypassGain);
+  // Decks -> equalizer (upstream of the bypass split, so it works with effects off)
+  audioState.decks.forEach(deck => deck.gain.connect(nodes.eqPreamp));
+  let eqOutput = nodes.eqPreamp;
+  nodes.eqBands.forEach(band => {
+    eqOutput.connect(band);
+    eqOutput = band;
+  });
+
+  // Equalizer -> bypass (direct to mainGain, no effects)
+  eqOutput.connect(nodes.bypassGain);
   nodes.bypassGain.connect(nodes.mainGain);
 
-  // Source -> effects chain -> effectsGain -> mainGain
-  audioState.sourceNode.connect(nodes.highpass);
-  nodes.highpass.connect(nodes.lowpass);
-  nodes.lowpass.connect(nodes.midBoost);
-  nodes.midBoost.connect(nodes.wowFlutterDelay);
-  nodes.wowFlutterDelay.connect(nodes.saturation);
-  nodes.saturation.connect(nodes.effectsGain);
-  nodes.effectsGain.connect(nodes.mainGain);
+  // Equalizer -> effects chain -> effectsGain -> mainGain
+  eqOutput.connect(nodes.highpass);
+  nodes.highpass.connect(nodes.headBump);
+  nodes.headBump.connect(nodes.lowpass);
+  nodes.lowpass.connect(nodes.hfRolloff);
+  nodes.hfRolloff.connect(nodes.midBoost);
+  nodes.midBoost.connect(nodes.nrEncode);
+  nodes.nrEncode.connect(nodes.stereoSplitter);
+
+  // Stereo head stage: split -> azimuth delays -> crosstalk matrix -> balance -> merge
+  nodes.stereoSplitter.connect(nodes.azimuthDelayL, 0);
+  nodes.stereoSplitter.connect(nodes.azimuthDelayR, 1);
+  nodes.azimuthDelayL.connect(nodes.crosstalkLL);
+  nodes.azimuthDelayL.connect(nodes.crosstalkLR);
+  nodes.azimuthDelayR.connect(nodes.crosstalkRR);
+  nodes.azimuthDelayR.connect(nodes.crosstalkRL);
+  nodes.crosstalkLL.connect(nodes.balanceL);
+  nodes.crosstalkRL.connect(nodes.balanceL);
+  nodes.crosstalkRR.connect(nodes.balanceR);
+  nodes.crosstalkLR.connect(nodes.balanceR);
+  nodes.balanceL.connect(nodes.stereoMerger, 0, 0);
+  nodes.balanceR.connect(nodes.stereoMerger, 0, 1);
+
+  if (nodes.tapeEngine) {
+    // Tape engine worklet: wow/flutter, saturation and hiss in one processor
+    nodes.stereoMerger.connect(nodes.tapeEngine);
+    nodes.tapeEngine.connect(nodes.dropoutShelf);
+  } else {
+    // Native fallback: delay-line wow/flutter -> waveshaper saturation
+    nodes.stereoMerger.connect(nodes.wowFlutterDelay);
+    nodes.wowFlutterDelay.connect(nodes.saturation);
+    nodes.saturation.connect(nodes.dropoutShelf);
 
-  // Noise (tape hiss) -> merger -> destination (only when effects enabled)
-  nodes.noiseGain.connect(nodes.mainGain);
-  if (!CONFIG.audio.effectsEnabled) {
-    nodes.noiseGain.gain.value = 0;
+    // Noise (tape hiss) -> NR decoder, so hiss is companded like real tape
+    nodes.noiseGain.connect(nodes.nrDecode);
   }
 
+  // Tape wear (dropouts, level wander) -> NR decoder
+  nodes.dropoutShelf.connect(nodes.wearGain);
+  nodes.wearGain.connect(nodes.nrDecode);
+
+  nodes.nrDecode.connect(nodes.effectsGain);
+  nodes.effectsGain.connect(nodes.mainGain);
+
+  // Noise reduction sidechain (taps the signal before the encoder)
+  nodes.midBoost.connect(nodes.nrDetector);
+  nodes.nrDetector.connect(nodes.nrAnalyser);
+
+  // Hiss follows play state and the effects toggle
+  updateNoiseGain();
+
   // Final output
-  nodes.mainGain.connect(ctx.destination);
+  nodes.mainGain.connect(nodes.sleepGain);
+  nodes.mechanismGain.connect(nodes.sleepGain);
+  nodes.sleepGain.connect(ctx.destination);
+
+  // Start oscillators (only the native fallback needs them)
+  if (!nodes.tapeEngine) {
+    nodes.wowLFO.start();
+    nodes.flutterLFO.start();
+    nodes.noiseSource.start();
+  }
 
-  // Start oscillators
-  nodes.wowLFO.start();
-  nodes.flutterLFO.start();
-  nodes.noiseSource.start();
+  // Configure noise reduction and start control-rate modulation
+  applyNoiseReductionMode();
+  startAudioModulation();
 }
 
-// Toggle all audio effects on/off
-function toggleAudioEffects(enabled) {
-  CONFIG.audio.effectsEnabled = enabled;
+// Control-rate modulation loop for effects that follow the programme level.
+// Uses a timer rather than requestAnimationFrame so it keeps running while
+// the window is hidden in the tray.
+const AUDIO_MODULATION_INTERVAL = 20;  // ms
 
-  if (audioState.effectNodes) {
-    const nodes = audioState.effectNodes;
+function startAudioModulation() {
+  if (audioState.modulationTimer) return;
+  audioState.modulationTimer = setInterval(tickAudioModulation, AUDIO_MODULATION_INTERVAL);
+}
 
-    if (enabled) {
-      // Enable effects: effectsGain = 1, bypassGain = 0, restore noise
-      nodes.effectsGain.gain.value = 1;
-      nodes.bypassGain.gain.value = 0;
-      if (audioState.isPlaying) {
-        nodes.noiseGain.gain.value = 0.015 * CONFIG.audio.tapeHissLevel;
-      }
-    } else {
-      // Disable effects: effectsGain = 0, bypassGain = 1, mute noise
-      nodes.effectsGain.gain.value = 0;
-      nodes.bypassGain.gain.value = 1;
-      nodes.noiseGain.gain.value = 0;
-    }
-  }
+function tickAudioModulation() {
+  if (!audioState.effectNodes) return;
+  updateNoiseReduction();
+  updateTapeWear();
+  updateStereoDrift();
+  updateAbLoop();
+  updateGaplessTransition();
 }
 
-// ============================================================================
-// PLAYBACK CONTROLS
-// ============================================================================
-async function loadTrack(index) {
-  if (audioState.audioFiles.length === 0) return;
+// Get the active noise reduction mode (null when off)
+function getNoiseReductionMode() {
+  return NOISE_REDUCTION_MODES[CONFIG.audio.noiseReduction] || null;
+}
 
-  if (index < 0) index = audioState.audioFiles.length - 1;
-  if (index >= audioState.audioFiles.length) index = 0;
+// Retune the NR shelves and detector for the selected mode
+function applyNoiseReductionMode() {
+  const nodes = audioState.effectNodes;
+  if (!nodes) return;
 
-  audioState.currentTrackIndex = index;
-  const track = audioState.audioFiles[index];
+  const mode = getNoiseReductionMode();
+  const now = audioState.audioContext.currentTime;
 
-  // Reset retry counter for new track (will be set if loading from scratch)
-  if (track._retryCount === undefined) {
-    track._retryCount = 0;
+  if (!mode) {
+    nodes.nrEncode.gain.setTargetAtTime(0, now, 0.02);
+    nodes.nrDecode.gain.setTargetAtTime(0, now, 0.02);
+    return;
   }
 
-  // Update screen
-  updateScreenText(track.name);
-  // Note: showTrackOverlay is called when track starts playing, not on load
+  nodes.nrEncode.frequency.value = mode.shelfFrequency;
+  nodes.nrDecode.frequency.value = mode.shelfFrequency;
+  nodes.nrDetector.frequency.value = mode.shelfFrequency / 2;
+}
 
-  // Update status bar
-  updateStatusBar(`${index + 1}/${audioState.audioFiles.length}: ${track.name}`);
+// Follow the high-band level and move the encode/decode shelves together.
+// Fast attack (boost drops quickly on loud transients), slow release.
+function updateNoiseReduction() {
+  const nodes = audioState.effectNodes;
+  const mode = getNoiseReductionMode();
+  if (!mode || !CONFIG.audio.effectsEnabled) return;
 
-  // Update playlist if it's open
-  if (playlistOpen) {
-    updatePlaylistTracks();
+  nodes.nrAnalyser.getFloatTimeDomainData(nodes.nrLevelData);
+  let sum = 0;
+  for (let i = 0; i < nodes.nrLevelData.length; i++) {
+    sum += nodes.nrLevelData[i] * nodes.nrLevelData[i];
   }
+  const rms = Math.sqrt(sum / nodes.nrLevelData.length);
+  const levelDb = 20 * Math.log10(Math.max(rms, 1e-6));
 
-  // Load audio - use appropriate source based on platform
-  try {
-    if (track._isNativePath && track.url) {
-      // Native path (from Capacitor FilePicker): URL already converted via convertFileSrc
-      // This is the most reliable method for Android - avoids blob URL issues
-      console.log(`[Mobile] Loading with native path: ${track.name}, URL: ${track.url}`);
-      audioState.audioElement.src = track.url;
-    } else if (track.url) {
-      // Web/Mobile: use blob URL (fallback when native picker not available)
-      if (isMobile || isCapacitor) {
-        console.log(`[Mobile] Loading with blob URL: ${track.name}, URL: ${track.url.substring(0, 50)}..., retryCount: ${track._retryCount}`);
-      }
-      audioState.audioElement.src = track.url;
-    } else if (track.path && isElectron) {
-      // Electron: use file:// URL
-      audioState.audioElement.src = 'file://' + track.path;
-    } else if (track.path && isCapacitor && window.Capacitor && window.Capacitor.convertFileSrc) {
-      // Capacitor with native path but URL not yet converted
-      console.log(`[Mobile] Converting native path: ${track.path}`);
-      track.url = window.Capacitor.convertFileSrc(track.path);
-      track._isNativePath = true;
-      audioState.audioElement.src = track.url;
-    } else if (track.file) {
-      // Fallback: create blob URL from File object if URL is missing
-      // Use createObjectURL directly on File (don't wrap in new Blob)
-      console.log(`[Mobile] Creating blob URL from File object for: ${track.name}`);
-      track.url = URL.createObjectURL(track.file);
-      audioState.audioElement.src = track.url;
-    }
-
-    await audioState.audioElement.load();
+  // Map level to companding amount (1 = full boost at low levels)
+  const span = mode.noGainLevel - mode.fullGainLevel;
+  const amount = Math.max(0, Math.min(1, (mode.noGainLevel - levelDb) / span));
+  const boost = mode.maxGain * amount;
 
-    if (isMobile || isCapacitor) {
-      console.log(`[Mobile] Track loaded successfully: ${track.name}, isNativePath: ${track._isNativePath}`);
-    }
-  } catch (error) {
-    console.error(`Error loading track ${track.name}:`, error);
-    updateStatusBar(`Error: ${error.message}`);
+  const now = audioState.audioContext.currentTime;
+  const currentBoost = -nodes.nrDecode.gain.value - mode.trackingError;
+  const timeConstant = boost < currentBoost ? 0.003 : 0.08;
 
-    // On mobile, try fallback methods (only if not using native path - native paths don't have File objects)
-    if ((isMobile || isCapacitor) && track.file && !track._isNativePath) {
-      await tryFallbackLoading(track);
-    } else if (track._isNativePath) {
-      // Native path failed - this shouldn't happen normally
-      console.error(`[Mobile] Native path loading failed for: ${track.name}`);
-      updateStatusBar(`Cannot play: ${track.name}`);
-    }
-  }
+  nodes.nrEncode.gain.setTargetAtTime(mode.encode ? boost : 0, now, timeConstant);
+  nodes.nrDecode.gain.setTargetAtTime(-(boost + mode.trackingError), now, timeConstant);
+}
 
-  // Save current track index for restoration on restart (Electron only)
-  if (isElectron) {
-    saveCurrentSettings();
+// Apply azimuth offset and crosstalk from current settings
+function applyStereoImage() {
+  const nodes = audioState.effectNodes;
+  if (!nodes) return;
+
+  const now = audioState.audioContext.currentTime;
+  const crosstalk = CONFIG.audio.crosstalk * STEREO_IMAGE.maxCrosstalk;
+  const direct = 1 / (1 + crosstalk);
+  const opposite = crosstalk / (1 + crosstalk);
+
+  nodes.crosstalkLL.gain.setTargetAtTime(direct, now, 0.05);
+  nodes.crosstalkRR.gain.setTargetAtTime(direct, now, 0.05);
+  nodes.crosstalkLR.gain.setTargetAtTime(opposite, now, 0.05);
+  nodes.crosstalkRL.gain.setTargetAtTime(opposite, now, 0.05);
+  nodes.azimuthDelayR.delayTime.setTargetAtTime(CONFIG.audio.azimuthError * STEREO_IMAGE.maxAzimuthDelay, now, 0.05);
+
+  if (CONFIG.audio.balanceDrift === 0) {
+    nodes.balanceL.gain.setTargetAtTime(1, now, 0.2);
+    nodes.balanceR.gain.setTargetAtTime(1, now, 0.2);
   }
 }
 
-async function play() {
-  if (!audioState.audioContext) {
-    initAudioContext();
-  }
+// Wobble the azimuth offset (phase smear) and let the stereo balance drift
+function updateStereoDrift() {
+  const nodes = audioState.effectNodes;
+  if (!audioState.isPlaying || !CONFIG.audio.effectsEnabled) return;
 
-  // Resume context if suspended
-  if (audioState.audioContext.state === 'suspended') {
-    await audioState.audioContext.resume();
-  }
+  const now = audioState.audioContext.currentTime;
 
-  if (audioState.audioFiles.length === 0) {
-    await openFolder();
-    if (audioState.audioFiles.length === 0) return;
+  if (CONFIG.audio.azimuthError > 0 && now >= stereoDriftState.nextAzimuthTime) {
+    const wobble = 1 + (Math.random() * 2 - 1) * STEREO_IMAGE.azimuthWobble;
+    const offset = CONFIG.audio.azimuthError * STEREO_IMAGE.maxAzimuthDelay * wobble;
+    nodes.azimuthDelayR.delayTime.setTargetAtTime(offset, now, 0.3);
+    stereoDriftState.nextAzimuthTime = now + 0.3 + Math.random() * 0.7;
   }
 
-  if (!audioState.audioElement.src) {
-    await loadTrack(0);
+  if (CONFIG.audio.balanceDrift > 0 && now >= stereoDriftState.nextBalanceTime) {
+    const swing = (Math.random() * 2 - 1) * CONFIG.audio.balanceDrift * STEREO_IMAGE.maxBalanceDrift;
+    nodes.balanceL.gain.setTargetAtTime(1 - swing, now, 1.5);
+    nodes.balanceR.gain.setTargetAtTime(1 + swing, now, 1.5);
+    stereoDriftState.nextBalanceTime = now + 2 + Math.random() * 3;
   }
+}
 
-  await audioState.audioElement.play();
-  audioState.isPlaying = true;
+// Key used to remember per-track data (play counts etc.) across sessions
+function getTrackKey(track) {
+  return track.path || track.fullName || track.name;
+}
 
-  // Show track overlay when track starts playing
-  const currentTrack = audioState.audioFiles[audioState.currentTrackIndex];
-  if (currentTrack) {
-    showTrackOverlay(currentTrack.name);
-  }
+// Get the wear of the current tape (0 = new, 1 = worn out)
+function getTapeAge() {
+  let age = CONFIG.audio.tapeAge;
 
-  // Resume tape hiss noise (only if effects are enabled)
-  if (audioState.effectNodes && audioState.effectNodes.noiseGain && CONFIG.audio.effectsEnabled) {
-    audioState.effectNodes.noiseGain.gain.value = 0.015 * CONFIG.audio.tapeHissLevel;
+  if (CONFIG.audio.tapeAgeAuto) {
+    const track = audioState.audioFiles[audioState.currentTrackIndex];
+    if (track) {
+      age += (audioState.playCounts[getTrackKey(track)] || 0) * TAPE_WEAR.agePerPlay;
+    }
   }
 
-  // Update tray icon (Electron only)
-  if (isElectron && window.electronAPI.updatePlayState) {
-    window.electronAPI.updatePlayState(true);
-  }
+  return Math.min(1, age);
+}
+
+// High cut-off after tape wear has taken its share of the treble
+function getEffectiveHighCutoff() {
+  return CONFIG.audio.highCutoff * (1 - getTapeAge() * TAPE_WEAR.highCutLoss);
+}
+
+// Apply the static part of tape wear (treble loss, hiss, saturation)
+function applyTapeWear() {
+  const nodes = audioState.effectNodes;
+  if (!nodes) return;
+
+  nodes.lowpass.frequency.setTargetAtTime(getEffectiveHighCutoff(), audioState.audioContext.currentTime, 0.05);
+  updateNoiseGain();
+  updateSaturation();
+}
+
+// Count a completed play of a track (ages the tape in automatic mode)
+function registerTrackPlay(track) {
+  if (!track) return;
+
+  const key = getTrackKey(track);
+  audioState.playCounts[key] = (audioState.playCounts[key] || 0) + 1;
+  saveCurrentSettings();
+}
+
+// Random oxide dropouts (brief level and treble loss) and slow level wander
+function updateTapeWear() {
+  const nodes = audioState.effectNodes;
+  const ctx = audioState.audioContext;
+  const age = CONFIG.audio.effectsEnabled ? getTapeAge() : 0;
+  const now = ctx.currentTime;
+
+  if (age === 0 || !audioState.isPlaying) {
+    if (tapeWearState.wanderLevel !== 1) {
+      tapeWearState.wanderLevel = 1;
+      nodes.wearGain.gain.setTargetAtTime(1, now, 0.1);
+      nodes.dropoutShelf.gain.setTargetAtTime(0, now, 0.1);
+    }
+    return;
+  }
+
+  // Still inside a dropout - its recovery is already scheduled
+  if (now < tapeWearState.dropoutUntil) return;
+
+  // Start a dropout (probability grows faster than linearly with wear)
+  const dropoutChance = TAPE_WEAR.dropoutsPerSecond * age * age * (AUDIO_MODULATION_INTERVAL / 1000);
+  if (Math.random() < dropoutChance) {
+    const duration = 0.02 + Math.random() * 0.1;
+    const depth = TAPE_WEAR.dropoutDepth * (0.4 + Math.random() * 0.6) * age;
+    const trebleLoss = TAPE_WEAR.dropoutTrebleLoss * (0.5 + Math.random() * 0.5);
+
+    nodes.wearGain.gain.setTargetAtTime(tapeWearState.wanderLevel * (1 - depth), now, 0.004);
+    nodes.dropoutShelf.gain.setTargetAtTime(trebleLoss, now, 0.004);
+    nodes.wearGain.gain.setTargetAtTime(tapeWearState.wanderLevel, now + duration, 0.02);
+    nodes.dropoutShelf.gain.setTargetAtTime(0, now + duration, 0.03);
+
+    tapeWearState.dropoutUntil = now + duration + 0.1;
+    return;
+  }
+
+  // Slow level wander: new random target every 1-3 seconds
+  if (now >= tapeWearState.nextWanderTime) {
+    tapeWearState.wanderLevel = 1 - Math.random() * TAPE_WEAR.wanderDepth * age;
+    tapeWearState.nextWanderTime = now + 1 + Math.random() * 2;
+    nodes.wearGain.gain.setTargetAtTime(tapeWearState.wanderLevel, now, 0.6);
+  }
+}
+
+// Toggle all audio effects on/off
+function toggleAudioEffects(enabled) {
+  CONFIG.audio.effectsEnabled = enabled;
+
+  if (audioState.effectNodes) {
+    const nodes = audioState.effectNodes;
+
+    if (enabled) {
+      // Enable effects: effectsGain = 1, bypassGain = 0
+      nodes.effectsGain.gain.value = 1;
+      nodes.bypassGain.gain.value = 0;
+    } else {
+      // Disable effects: effectsGain = 0, bypassGain = 1
+      nodes.effectsGain.gain.value = 0;
+      nodes.bypassGain.gain.value = 1;
+    }
+
+    // Restore or mute tape hiss
+    updateNoiseGain();
+  }
+}
+
+// ============================================================================
+// TRACK TITLES
+// ============================================================================
+// Placeholders of the title format, filled from the tags read by the main process
+const TITLE_FORMAT_FIELDS = {
+  artist: track => track.artist,
+  title: track => track.title,
+  album: track => track.album,
+  track: track => track.trackNumber ? String(track.trackNumber).padStart(2, '0') : null,
+  disc: track => track.discNumber,
+  year: track => track.year,
+  filename: track => track.name
+};
+
+const TITLE_FORMAT_PRESETS = [
+  '{artist} \u2013 {title}',
+  '{title} \u2013 {artist}',
+  '{title}',
+  '{track}. {title}',
+  '{artist} \u2013 {album} \u2013 {title}',
+  '{filename}'
+];
+
+// Display title of a track. Untagged files show their file name; text between
+// placeholders is dropped next to a placeholder without a value, so a missing
+// artist gives "Title" rather than " - Title"
+function getTrackTitle(track) {
+  if (!track) return '';
+  if (!track.title || !CONFIG.playback.titleFormat) return track.name;
+
+  // Even entries are literal text, odd entries placeholder names
+  const parts = CONFIG.playback.titleFormat.split(/\{(\w+)\}/);
+  const values = parts.map((part, i) => {
+    if (i % 2 === 0) return part;
+    const value = TITLE_FORMAT_FIELDS[part] ? TITLE_FORMAT_FIELDS[part](track) : null;
+    return value === null || value === undefined ? '' : String(value);
+  });
+
+  let text = '';
+  for (let i = 0; i < values.length; i += 2) {
+    const before = i === 0 || values[i - 1] !== '';
+    const after = i === values.length - 1 || values[i + 1] !== '';
+    if (before && after) text += values[i];
+    if (i + 1 < values.length) text += values[i + 1];
+  }
+
+  return text.trim() || track.name;
+}
+
+function setTitleFormat(format) {
+  CONFIG.playback.titleFormat = format;
+  document.getElementById('select-title-format').value = TITLE_FORMAT_PRESETS.includes(format) ? format : 'custom';
+  updateTrackInfo();
+  updateProblemsList();
+}
+
+// ============================================================================
+// COVER ART
+// ============================================================================
+const coverArt = {
+  trackKey: null,  // Track the cover was last requested for
+  url: null,       // Shown image (file URL) or null
+  texture: null    // Texture on the cassette label
+};
+
+// Ask the main process for the track's cover art (embedded or folder image) and show it
+async function updateCoverArt(track) {
+  const key = track ? getTrackKey(track) : null;
+  if (key === coverArt.trackKey) return;
+  coverArt.trackKey = key;
+
+  let url = null;
+  if (track && track.path && CONFIG.ui.showCoverArt && isElectron && window.electronAPI.getCoverArt) {
+    try {
+      url = await window.electronAPI.getCoverArt(track.path);
+    } catch (error) {
+      console.warn('Error getting cover art:', error);
+    }
+  }
+
+  // Another track may have been loaded in the meantime
+  if (coverArt.trackKey === key) {
+    showCoverArt(url);
+  }
+}
+
+function showCoverArt(url) {
+  if (url === coverArt.url) return;
+  coverArt.url = url;
+
+  const thumbnail = document.getElementById('track-overlay-cover');
+  thumbnail.classList.toggle('visible', !!url);
+  if (url) {
+    thumbnail.src = url;
+  } else {
+    thumbnail.removeAttribute('src');
+  }
+
+  if (!url) {
+    setCoverTexture(null);
+    return;
+  }
+  new THREE.TextureLoader().load(url, (texture) => {
+    if (coverArt.url === url) {
+      setCoverTexture(texture);
+    } else {
+      texture.dispose();
+    }
+  }, undefined, () => {
+    if (coverArt.url === url) setCoverTexture(null);
+  });
+}
+
+// Put a texture on the cassette label, centre-cropped to the label's shape
+function setCoverTexture(texture) {
+  const label = cassettePlayer && cassettePlayer.userData.coverLabel;
+  if (coverArt.texture) coverArt.texture.dispose();
+  coverArt.texture = texture;
+  if (!label) return;
+
+  if (texture) {
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const { width, height } = label.geometry.parameters;
+    const labelAspect = width / height;
+    const imageAspect = texture.image.width / texture.image.height;
+    if (imageAspect < labelAspect) {
+      texture.repeat.set(1, imageAspect / labelAspect);
+    } else {
+      texture.repeat.set(labelAspect / imageAspect, 1);
+    }
+    texture.offset.set((1 - texture.repeat.x) / 2, (1 - texture.repeat.y) / 2);
+  }
+
+  label.material.map = texture;
+  label.material.needsUpdate = true;
+  label.visible = !!texture;
+}
+
+function setShowCoverArt(enabled) {
+  CONFIG.ui.showCoverArt = enabled;
+  coverArt.trackKey = null;
+  updateCoverArt(audioState.audioFiles[audioState.currentTrackIndex] || null);
+}
+
+// ============================================================================
+// RESUME POSITION
+// ============================================================================
+
+// How often the position is saved while playing (ms)
+const POSITION_SAVE_INTERVAL = 10000;
+
+// Positions this close to the end start the track over instead (seconds)
+const RESUME_END_MARGIN = 5;
+
+// Position restored from the settings, applied when its track is loaded
+const resumeState = {
+  trackKey: null,
+  position: 0,
+  savedPosition: -1,   // Position at the last periodic save
+  timer: null
+};
+
+function getCurrentTrackKey() {
+  const track = audioState.audioFiles[audioState.currentTrackIndex];
+  return track ? getTrackKey(track) : null;
+}
+
+// Position to save: the active deck's, or the restored one while its track is not loaded yet
+function getResumePosition() {
+  const key = getCurrentTrackKey();
+  if (key && resumeState.trackKey === key) {
+    return resumeState.position;
+  }
+
+  const element = audioState.audioElement;
+  if (!element || !element.src || !isFinite(element.currentTime)) return 0;
+  return Math.round(element.currentTime * 10) / 10;
+}
+
+// Seek a freshly loaded track to its restored position (once)
+function applyResumePosition(element, track) {
+  if (resumeState.trackKey !== getTrackKey(track)) {
+    resumeState.trackKey = null;  // Another track was loaded first
+    return;
+  }
+
+  // The restored position stays the one saved until the seek has happened
+  const seek = () => {
+    const position = resumeState.position;
+    resumeState.trackKey = null;
+    if (isFinite(element.duration) && position > element.duration - RESUME_END_MARGIN) return;
+    element.currentTime = position;
+  };
+  if (element.readyState >= 1) {
+    seek();
+  } else {
+    element.addEventListener('loadedmetadata', seek, { once: true });
+  }
+}
+
+// Save the position every few seconds while it moves, and when the window closes
+function startPositionSaving() {
+  if (!isElectron) return;
+
+  resumeState.timer = setInterval(() => {
+    if (!audioState.isPlaying) return;
+    const position = getResumePosition();
+    if (Math.abs(position - resumeState.savedPosition) < 1) return;
+    resumeState.savedPosition = position;
+    saveCurrentSettings();
+  }, POSITION_SAVE_INTERVAL);
+
+  window.addEventListener('beforeunload', () => {
+    saveCurrentSettings();
+  });
+}
+
+// Auto-resume: continue the restored track where it was left
+async function resumeOnLaunch() {
+  try {
+    await play();
+  } catch (error) {
+    console.warn('Auto-resume failed:', error);
+    updateStatusBar('Press Play to resume');
+  }
+}
+
+// ============================================================================
+// PLAY ORDER (REPEAT & SHUFFLE)
+// ============================================================================
+
+// Repeat modes in the order the repeat button cycles through them
+const REPEAT_MODES = ['off', 'all', 'one'];
+
+const REPEAT_LABELS = {
+  off: 'Repeat: Off',
+  all: 'Repeat: All',
+  one: 'Repeat: One'
+};
+
+// Longest play history kept for Prev
+const MAX_PLAY_HISTORY = 500;
+
+const playOrder = {
+  files: null,     // Playlist the state below belongs to
+  shuffle: [],     // Shuffled indices not yet played in this pass
+  history: [],     // Indices in the order they were played
+  position: -1     // Position of the current track in the history
+};
+
+// Fisher-Yates permutation of all track indices except `exclude`
+function createShufflePermutation(exclude) {
+  const indices = [];
+  for (let i = 0; i < audioState.audioFiles.length; i++) {
+    if (i !== exclude) indices.push(i);
+  }
+  for (let i = indices.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return indices;
+}
+
+// A new playlist starts with an empty history and a fresh pass
+function syncPlayOrder() {
+  if (playOrder.files === audioState.audioFiles) return;
+
+  playOrder.files = audioState.audioFiles;
+  playOrder.history = [];
+  playOrder.position = -1;
+  playOrder.shuffle = createShufflePermutation(audioState.currentTrackIndex);
+}
+
+// Record that a track became the current one. Moving along the history (Prev, or
+// Next after Prev) only moves the cursor; any other track drops the forward history
+function noteCurrentTrack(index) {
+  syncPlayOrder();
+
+  if (playOrder.history[playOrder.position] === index) return;
+  if (playOrder.history[playOrder.position + 1] === index) {
+    playOrder.position++;
+    return;
+  }
+
+  playOrder.history.splice(playOrder.position + 1);
+  playOrder.history.push(index);
+  if (playOrder.history.length > MAX_PLAY_HISTORY) {
+    playOrder.history.shift();
+  }
+  playOrder.position = playOrder.history.length - 1;
+
+  // Played tracks leave the current shuffle pass, however they were chosen
+  const remaining = playOrder.shuffle.indexOf(index);
+  if (remaining >= 0) {
+    playOrder.shuffle.splice(remaining, 1);
+  }
+}
+
+// Next index in shuffle order: forward through the history first, then the
+// permutation. Null when the pass is over and it should not start again
+function pickShuffledTrackIndex(wrap) {
+  syncPlayOrder();
+
+  if (playOrder.position >= 0 && playOrder.position < playOrder.history.length - 1) {
+    return playOrder.history[playOrder.position + 1];
+  }
+
+  if (playOrder.shuffle.length === 0) {
+    if (!wrap) return null;
+    // Reshuffle for the next pass, never starting it with the track that just played
+    playOrder.shuffle = createShufflePermutation(audioState.currentTrackIndex);
+  }
+  return playOrder.shuffle.length > 0 ? playOrder.shuffle[0] : audioState.currentTrackIndex;
+}
+
+// Previous index in shuffle order (null at the start of the history)
+function stepBackInHistory() {
+  syncPlayOrder();
+
+  if (playOrder.position <= 0) return null;
+  playOrder.position--;
+  return playOrder.history[playOrder.position];
+}
+
+// The playlist was edited in place (folder watcher): carry the history and the shuffle
+// pass over to the new list through the track objects. New tracks join the current pass
+function remapPlayOrder(oldFiles) {
+  if (playOrder.files !== oldFiles) return;  // syncPlayOrder starts afresh anyway
+
+  const newIndices = new Map(audioState.audioFiles.map((track, index) => [track, index]));
+  const remap = indices => indices
+    .map(index => newIndices.get(oldFiles[index]))
+    .filter(index => index !== undefined);
+
+  playOrder.position = remap(playOrder.history.slice(0, playOrder.position + 1)).length - 1;
+  playOrder.history = remap(playOrder.history);
+  playOrder.shuffle = remap(playOrder.shuffle);
+
+  const oldTracks = new Set(oldFiles);
+  audioState.audioFiles.forEach((track, index) => {
+    if (!oldTracks.has(track)) {
+      playOrder.shuffle.splice(Math.floor(Math.random() * (playOrder.shuffle.length + 1)), 0, index);
+    }
+  });
+  playOrder.files = audioState.audioFiles;
+}
+
+// Shuffle switched on: start a new pass from the current track
+function resetShufflePass() {
+  syncPlayOrder();
+  playOrder.shuffle = createShufflePermutation(audioState.currentTrackIndex);
+  playOrder.history.splice(playOrder.position + 1);
+}
+
+function setRepeatMode(mode) {
+  CONFIG.playback.repeatMode = REPEAT_MODES.includes(mode) ? mode : 'all';
+  document.getElementById('btn-repeat').textContent = REPEAT_LABELS[CONFIG.playback.repeatMode];
+  invalidateNextTrack();
+  saveCurrentSettings();
+}
+
+function cycleRepeatMode() {
+  const index = REPEAT_MODES.indexOf(CONFIG.playback.repeatMode);
+  setRepeatMode(REPEAT_MODES[(index + 1) % REPEAT_MODES.length]);
+  updateStatusBar(REPEAT_LABELS[CONFIG.playback.repeatMode]);
+}
+
+// ============================================================================
+// PLAY QUEUE
+// ============================================================================
+
+// Playlist index of a queued track (-1 when it is not in the loaded playlist)
+function findTrackIndexByKey(key) {
+  return audioState.audioFiles.findIndex(track => getTrackKey(track) === key);
+}
+
+// Queued tracks that are in the loaded playlist, in queue order. The playlist is
+// indexed by key once, so this stays linear for large playlists
+function getQueuedIndices() {
+  if (audioState.queue.length === 0) return [];
+
+  const indices = new Map();
+  audioState.audioFiles.forEach((track, index) => {
+    const key = getTrackKey(track);
+    if (!indices.has(key)) indices.set(key, index);
+  });
+  return audioState.queue
+    .filter(key => indices.has(key))
+    .map(key => indices.get(key));
+}
+
+// Queue positions of all queued tracks: playlist index -> position (0 = plays next)
+function getQueuePositions() {
+  return new Map(getQueuedIndices().map((index, position) => [index, position]));
+}
+
+// Queue position of a track (0 = plays next, -1 = not queued)
+function getQueuePosition(index) {
+  const track = audioState.audioFiles[index];
+  return track ? getQueuedIndices().indexOf(index) : -1;
+}
+
+// "Play next" puts the track at the head of the queue, "Add to queue" at its end
+function queueTrack(index, playNext) {
+  const track = audioState.audioFiles[index];
+  if (!track) return;
+
+  const key = getTrackKey(track);
+  audioState.queue = audioState.queue.filter(queued => queued !== key);
+  if (playNext) {
+    audioState.queue.unshift(key);
+  } else {
+    audioState.queue.push(key);
+  }
+  onQueueChanged();
+  updateStatusBar(`${playNext ? 'Playing next' : 'Queued'}: ${getTrackTitle(track)}`);
+}
+
+function unqueueTrack(index) {
+  const track = audioState.audioFiles[index];
+  if (!track) return;
+
+  const key = getTrackKey(track);
+  audioState.queue = audioState.queue.filter(queued => queued !== key);
+  onQueueChanged();
+}
+
+// A track that starts playing leaves the queue, however it was started
+function consumeQueuedTrack(index) {
+  const track = audioState.audioFiles[index];
+  if (!track) return;
+
+  const key = getTrackKey(track);
+  if (!audioState.queue.includes(key)) return;
+  audioState.queue = audioState.queue.filter(queued => queued !== key);
+  onQueueChanged();
+}
+
+function onQueueChanged() {
+  invalidateNextTrack();
+  saveCurrentSettings();
+  if (playlistOpen) {
+    updatePlaylistTracks();
+  }
+}
+
+// ============================================================================
+// DUAL-DECK (GAPLESS) PLAYBACK
+// ============================================================================
+// Near-gapless rather than sample-accurate: media elements cannot be started on the
+// AudioContext clock, so the standby deck starts from the active deck's 'ended' event
+// and only the media start-up time of a preloaded element remains as a gap
+
+// How early a crossfade is armed before the active track ends (seconds)
+const GAPLESS_LOOKAHEAD = 0.3;
+
+// Short fade used instead of a hard cut on manual Next/Prev (seconds)
+const MANUAL_SKIP_FADE = 0.15;
+
+// Crossfade curve resolution and the level dip of the "tape splice" curve
+const CROSSFADE_CURVE_POINTS = 128;
+const SPLICE_DIP = 0.35;
+
+// A deck is a media element feeding the shared audio graph through its own
+// normalization and fade gains. Only the active deck drives track events;
+// the standby deck preloads the next track.
+function createDeck(audioContext) {
+  const element = new Audio();
+  element.crossOrigin = 'anonymous';
+  element.preload = 'auto';
+
+  const deck = {
+    element,
+    sourceNode: audioContext.createMediaElementSource(element),
+    normGain: audioContext.createGain(),  // Loudness normalization of the loaded track
+    gain: audioContext.createGain(),      // Crossfade / skip fades
+    normTrack: null, // Track the normalization gain was set for
+    track: null,     // Track preloaded into this deck (standby only)
+    ready: false,    // Standby deck can play through
+    failed: false,   // Standby preload failed (normal loading will be used)
+    fading: false    // Outgoing deck of a running crossfade
+  };
+  deck.sourceNode.connect(deck.normGain);
+  deck.normGain.connect(deck.gain);
+  applyDeckSpeed(element);
+
+  element.addEventListener('ended', () => {
+    if (deck === getActiveDeck()) onTrackEnded();
+  });
+  element.addEventListener('error', (e) => {
+    if (deck === getActiveDeck()) {
+      onAudioError(e);
+    } else if (deck.track) {
+      // Preload failed - the normal loading path (with its fallbacks) takes over
+      console.warn(`[Gapless] Preload failed for: ${deck.track.name}`);
+      deck.failed = true;
+      deck.ready = false;
+    }
+  });
+  element.addEventListener('canplaythrough', () => {
+    if (deck !== getActiveDeck() && deck.track) deck.ready = true;
+  });
+  element.addEventListener('playing', () => {
+    if (deck !== getActiveDeck()) return;
+    onTrackPlaying(audioState.audioFiles[audioState.currentTrackIndex]);
+    preloadNextTrack();
+  });
+
+  return deck;
+}
+
+function getActiveDeck() {
+  return audioState.decks[audioState.activeDeck];
+}
+
+function getStandbyDeck() {
+  return audioState.decks[1 - audioState.activeDeck];
+}
+
+// Pick the index of the track after the current one (queue-, repeat- and shuffle-aware).
+// `manual` is a press of Next: it always moves on, even in repeat-one or at the end
+// of the list. Returns null when playback should stop (repeat off)
+function pickNextTrackIndex(manual = false) {
+  const count = audioState.audioFiles.length;
+
+  // Queued tracks come first, whatever the order or repeat mode
+  const queued = getQueuedIndices();
+  if (queued.length > 0) {
+    return queued[0];
+  }
+
+  // Cassette mode: tape order (Side A, then Side B); shuffle does not apply to a tape
+  if (CONFIG.playback.cassetteMode) {
+    const order = getTapeOrder();
+    const position = order.indexOf(audioState.currentTrackIndex);
+    if (position >= 0) {
+      return order[(position + 1) % order.length];
+    }
+    return (audioState.currentTrackIndex + 1) % count;
+  }
+
+  const repeat = CONFIG.playback.repeatMode;
+  if (repeat === 'one' && !manual) {
+    return audioState.currentTrackIndex;
+  }
+
+  if (CONFIG.playback.shuffleEnabled && count > 1) {
+    return pickShuffledTrackIndex(manual || repeat === 'all');
+  }
+
+  // Sequential: next track in order
+  const nextIndex = audioState.currentTrackIndex + 1;
+  if (nextIndex >= count) {
+    return manual || repeat === 'all' ? 0 : null;
+  }
+  return nextIndex;
+}
+
+// Index of the track that follows the current one when it ends. The pick is cached so
+// the preloaded track and the track actually played next are always the same.
+function peekNextTrackIndex() {
+  if (audioState.audioFiles.length === 0) return null;
+
+  if (audioState.nextTrackIndex === null) {
+    audioState.nextTrackIndex = pickNextTrackIndex();
+  }
+  return audioState.nextTrackIndex;
+}
+
+// Forget the cached next track (playlist, order or current track changed)
+function invalidateNextTrack() {
+  audioState.nextTrackIndex = null;
+  cancelGaplessHandoff();
+  if (audioState.isPlaying) {
+    preloadNextTrack();
+  }
+}
+
+// Load the next track into the standby deck so it can start without a reload
+function preloadNextTrack() {
+  if (audioState.decks.length === 0) return;
+
+  const standby = getStandbyDeck();
+  if (standby.fading) return;  // Still fading out; preloaded when the crossfade ends
+
+  const index = peekNextTrackIndex();
+  const track = index === null ? null : audioState.audioFiles[index];
+
+  if (!track) return;
+  if (standby.track === track && !standby.failed) return;  // Already preloaded
+
+  standby.track = track;
+  standby.ready = false;
+  standby.failed = false;
+
+  try {
+    setTrackSource(standby.element, track);
+    applyNormalization(standby, track);
+    standby.element.load();
+  } catch (error) {
+    console.warn(`[Gapless] Cannot preload ${track.name}:`, error);
+    standby.failed = true;
+  }
+}
+
+// Arm a crossfade shortly before the active track ends. Without a crossfade the deck
+// switch waits for the active deck's 'ended' event (onTrackEnded -> nextTrack), so the
+// outgoing track is never cut short
+function updateGaplessTransition() {
+  if (!audioState.isPlaying || audioState.handoffTimer || cueState.direction !== 0) return;
+  if (isEndOfTapeSide()) return;  // The side change goes through finishTapeSide()
+  if (isSleepAtTrackEnd()) return;  // The sleep timer stops the deck instead
+  if (isLoopActive()) return;       // Playback stays inside the A-B loop
+
+  const active = audioState.audioElement;
+  const standby = getStandbyDeck();
+  if (!standby.ready || standby.track !== audioState.audioFiles[peekNextTrackIndex()]) return;
+  if (!isFinite(active.duration) || active.paused) return;
+
+  // Remaining time in real seconds (media time runs at the playback rate)
+  const remaining = (active.duration - active.currentTime) / (active.playbackRate || 1);
+  const fade = getCrossfadeDuration(active, standby.element);
+  if (fade <= 0 || remaining > Math.max(GAPLESS_LOOKAHEAD, fade)) return;
+
+  // Start the incoming track when the fade window begins
+  const delay = Math.max(0, (remaining - fade) * 1000);
+  audioState.handoffTimer = setTimeout(() => {
+    audioState.handoffTimer = null;
+    const previousTrack = audioState.audioFiles[audioState.currentTrackIndex];
+    startStandbyDeck(Math.min(fade, remaining))
+      .then(() => registerTrackPlay(previousTrack))
+      .catch(error => console.error('[Gapless] Crossfade to the next track failed:', error));
+  }, delay);
+}
+
+// Configured crossfade length, limited to half of the shorter of the two tracks
+function getCrossfadeDuration(outgoing, incoming) {
+  let duration = Math.max(0, Math.min(12, CONFIG.playback.crossfadeDuration || 0));
+  [outgoing, incoming].forEach(element => {
+    if (element && isFinite(element.duration)) {
+      duration = Math.min(duration, element.duration / 2);
+    }
+  });
+  return duration;
+}
+
+// Gain curves for the incoming and outgoing deck (index 0 = start of the fade)
+function createCrossfadeCurves(type) {
+  const fadeIn = new Float32Array(CROSSFADE_CURVE_POINTS);
+  const fadeOut = new Float32Array(CROSSFADE_CURVE_POINTS);
+
+  for (let i = 0; i < CROSSFADE_CURVE_POINTS; i++) {
+    const t = i / (CROSSFADE_CURVE_POINTS - 1);
+
+    if (type === 'linear') {
+      fadeIn[i] = t;
+      fadeOut[i] = 1 - t;
+    } else if (type === 'tapeSplice') {
+      // A diagonal splice crosses the head in the middle of the window: both
+      // tracks hold their level, swap over a steep S-curve and dip at the joint
+      const x = Math.max(0, Math.min(1, (t - 0.35) / 0.3));
+      const swap = x * x * (3 - 2 * x);
+      const dip = 1 - SPLICE_DIP * Math.exp(-Math.pow((t - 0.5) / 0.06, 2));
+      fadeIn[i] = swap * dip;
+      fadeOut[i] = (1 - swap) * dip;
+    } else {
+      // Equal power: constant loudness for uncorrelated material
+      fadeIn[i] = Math.sin(t * Math.PI / 2);
+      fadeOut[i] = Math.cos(t * Math.PI / 2);
+    }
+  }
+
+  // Exact end points so the decks settle at full level and silence
+  fadeIn[CROSSFADE_CURVE_POINTS - 1] = 1;
+  fadeOut[CROSSFADE_CURVE_POINTS - 1] = 0;
+  return { fadeIn, fadeOut };
+}
+
+// Replace any running automation on a deck gain with a curve (scaled by `scale`)
+function setDeckGainCurve(deck, curve, duration, scale = 1) {
+  const gain = deck.gain.gain;
+  const now = audioState.audioContext.currentTime;
+  const values = scale === 1 ? curve : curve.map(value => value * scale);
+
+  gain.cancelScheduledValues(now);
+  gain.setValueCurveAtTime(values, now, duration);
+}
+
+// Linear ramp of a deck gain from its current level
+function rampDeckGain(deck, target, duration) {
+  const gain = deck.gain.gain;
+  const now = audioState.audioContext.currentTime;
+
+  gain.cancelScheduledValues(now);
+  gain.setValueAtTime(gain.value, now);
+  gain.linearRampToValueAtTime(target, now + duration);
+}
+
+// Stop the outgoing deck of a running crossfade
+function finishCrossfade() {
+  if (audioState.crossfadeTimer) {
+    clearTimeout(audioState.crossfadeTimer);
+    audioState.crossfadeTimer = null;
+  }
+
+  audioState.decks.forEach(deck => {
+    if (!deck.fading) return;
+    deck.fading = false;
+    deck.element.pause();
+    rampDeckGain(deck, 0, 0.01);
+  });
+
+  if (audioState.isPlaying) {
+    preloadNextTrack();
+  }
+}
+
+function cancelGaplessHandoff() {
+  if (audioState.handoffTimer) {
+    clearTimeout(audioState.handoffTimer);
+    audioState.handoffTimer = null;
+  }
+}
+
+// Start the preloaded standby deck and make it the active one,
+// crossfading from the previous deck when `fadeDuration` is set
+async function startStandbyDeck(fadeDuration = 0) {
+  const previous = getActiveDeck();
+  const standby = getStandbyDeck();
+  const index = audioState.audioFiles.indexOf(standby.track);
+
+  cancelGaplessHandoff();
+  finishCrossfade();
+  audioState.activeDeck = audioState.decks.indexOf(standby);
+  audioState.audioElement = standby.element;
+  standby.track = null;
+  standby.ready = false;
+
+  const playing = standby.element.play();
+
+  if (fadeDuration > 0 && !previous.element.paused && !previous.element.ended) {
+    // Both tracks overlap through the shared tape chain while the curves run
+    const curves = createCrossfadeCurves(CONFIG.playback.crossfadeCurve);
+    setDeckGainCurve(standby, curves.fadeIn, fadeDuration);
+    setDeckGainCurve(previous, curves.fadeOut, fadeDuration, previous.gain.gain.value);
+    previous.fading = true;
+    audioState.crossfadeTimer = setTimeout(finishCrossfade, fadeDuration * 1000);
+  } else {
+    // Gapless: called once the previous deck has ended (or on a manual skip, which cuts it)
+    rampDeckGain(standby, 1, 0.005);
+    if (!previous.element.ended) {
+      previous.element.pause();
+    }
+  }
+
+  audioState.currentTrackIndex = index;
+  audioState.nextTrackIndex = null;
+  noteCurrentTrack(index);
+  consumeQueuedTrack(index);
+  syncCassetteSide(index);
+  recallAbLoop(audioState.audioFiles[index]);
+  updateTrackInfo();
+  if (CONFIG.audio.tapeAgeAuto) {
+    applyTapeWear();
+  }
+  showTrackOverlay(getTrackTitle(audioState.audioFiles[index]));
+  saveCurrentSettings();
+
+  await playing;
+}
+
+// ============================================================================
+// LOUDNESS NORMALIZATION
+// ============================================================================
+
+// Target loudness (ReplayGain 2.0 reference) and the largest boost applied
+const LOUDNESS_REFERENCE = -18;      // LUFS
+const MAX_NORMALIZATION_BOOST = 12;  // dB
+
+// ITU-R BS.1770 gating: 400 ms blocks with 75% overlap, absolute and relative gates
+const LOUDNESS_BLOCK_STEPS = 4;
+const LOUDNESS_STEP = 0.1;           // seconds
+const LOUDNESS_ABSOLUTE_GATE = -70;  // LUFS
+const LOUDNESS_RELATIVE_GATE = -10;  // LU below the ungated level
+
+// The analysis decodes a whole track into memory, on an OfflineAudioContext at a reduced
+// rate (about 11.5 MB per minute of stereo) so it stays off the live context. The
+// K-weighted loudness barely depends on content above 12 kHz. Longer tracks, or larger
+// files of unknown duration, are left unnormalized
+const LOUDNESS_ANALYSIS_RATE = 24000;             // Hz
+const LOUDNESS_MAX_DURATION = 10 * 60;            // seconds
+const LOUDNESS_MAX_FILE_SIZE = 25 * 1024 * 1024;  // bytes, when the duration is unknown
+
+// Background analysis of tracks without ReplayGain tags or cached results
+const loudnessState = {
+  queue: [],
+  running: false
+};
+
+// Folder part of a file path (either separator)
+function getFolderPath(filePath) {
+  return filePath.slice(0, Math.max(filePath.lastIndexOf('/'), filePath.lastIndexOf('\\')));
+}
+
+// Tracks treated as one album: same folder (album mode falls back to track gain without a path)
+function getAlbumTracks(track) {
+  if (!track.path) return [track];
+
+  const folder = getFolderPath(track.path);
+  return audioState.audioFiles.filter(t => t.path && getFolderPath(t.path) === folder);
+}
+
+// Load tag / cached loudness info into `track.loudness` (null when the track has none yet)
+async function fetchLoudnessInfo(tracks) {
+  const missing = tracks.filter(track => track.loudness === undefined);
+  if (missing.length === 0) return;
+
+  const withPath = missing.filter(track => track.path);
+  if (isElectron && window.electronAPI.getLoudnessInfo && withPath.length > 0) {
+    try {
+      const infos = await window.electronAPI.getLoudnessInfo(withPath.map(track => track.path));
+      withPath.forEach((track, i) => { track.loudness = infos[i]; });
+    } catch (error) {
+      console.error('Error getting loudness info:', error);
+    }
+  }
+
+  missing.forEach(track => {
+    if (track.loudness === undefined) track.loudness = null;
+  });
+}
+
+// Track gain in dB and linear peak, or null when not known yet
+function getTrackGain(track) {
+  const info = track.loudness;
+  if (!info) return null;
+
+  if (info.source === 'tags') {
+    return info.trackGain === null ? null : { gain: info.trackGain, peak: info.trackPeak };
+  }
+  return info.loudness === null ? null : { gain: LOUDNESS_REFERENCE - info.loudness, peak: info.peak };
+}
+
+// Album gain from tags, or from the combined loudness of all analysed album tracks
+function getAlbumGain(track) {
+  const info = track.loudness;
+  if (info && info.source === 'tags' && info.albumGain !== null) {
+    return { gain: info.albumGain, peak: info.albumPeak };
+  }
+
+  // Duration-weighted power mean of the track loudness values
+  let energy = 0;
+  let duration = 0;
+  let peak = 0;
+  for (const albumTrack of getAlbumTracks(track)) {
+    const albumInfo = albumTrack.loudness;
+    if (!albumInfo || albumInfo.source !== 'analysis') return null;
+    if (albumInfo.loudness === null) continue;
+
+    energy += albumInfo.duration * Math.pow(10, albumInfo.loudness / 10);
+    duration += albumInfo.duration;
+    peak = Math.max(peak, albumInfo.peak);
+  }
+  if (duration === 0) return null;
+
+  return { gain: LOUDNESS_REFERENCE - 10 * Math.log10(energy / duration), peak };
+}
+
+// Linear normalization gain for a track in the current mode
+function getNormalizationGain(track) {
+  const mode = CONFIG.playback.normalization;
+  if (!track || mode === 'off') return 1;
+
+  const value = (mode === 'album' && getAlbumGain(track)) || getTrackGain(track);
+  if (!value) return 1;
+
+  // Limit the boost, and keep the peak below full scale
+  let gain = Math.min(value.gain, MAX_NORMALIZATION_BOOST);
+  if (value.peak > 0) {
+    gain = Math.min(gain, -20 * Math.log10(value.peak));
+  }
+  return Math.pow(10, gain / 20);
+}
+
+// Set a deck's normalization gain; changes during playback glide instead of jumping
+function setDeckNormalization(deck, value, smooth) {
+  const gain = deck.normGain.gain;
+  const now = audioState.audioContext.currentTime;
+
+  gain.cancelScheduledValues(now);
+  if (smooth) {
+    gain.setTargetAtTime(value, now, 0.5);
+  } else {
+    gain.setValueAtTime(value, now);
+  }
+}
+
+// Apply normalization for the track loaded into a deck, fetching loudness info
+// and queueing an analysis when the track is not tagged or cached yet
+async function applyNormalization(deck, track) {
+  if (!deck) return;
+
+  deck.normTrack = track;
+  setDeckNormalization(deck, getNormalizationGain(track), false);
+  if (!track || CONFIG.playback.normalization === 'off') return;
+
+  const tracks = CONFIG.playback.normalization === 'album' ? getAlbumTracks(track) : [track];
+  await fetchLoudnessInfo(tracks);
+  tracks.forEach(t => {
+    if (!t.loudness) queueLoudnessAnalysis(t, t === track);
+  });
+
+  if (deck.normTrack === track) {
+    setDeckNormalization(deck, getNormalizationGain(track), true);
+  }
+}
+
+// Re-apply normalization to both decks (mode changed or analysis finished)
+function refreshNormalization() {
+  audioState.decks.forEach(deck => {
+    if (deck.normTrack) applyNormalization(deck, deck.normTrack);
+  });
+}
+
+function queueLoudnessAnalysis(track, urgent) {
+  if (track._loudnessQueued) return;
+  track._loudnessQueued = true;
+
+  if (urgent) {
+    loudnessState.queue.unshift(track);
+  } else {
+    loudnessState.queue.push(track);
+  }
+  runLoudnessAnalysis();
+}
+
+// Analyse queued tracks one at a time
+async function runLoudnessAnalysis() {
+  if (loudnessState.running) return;
+  loudnessState.running = true;
+
+  while (loudnessState.queue.length > 0) {
+    const track = loudnessState.queue.shift();
+
+    try {
+      const result = await analyzeTrackLoudness(track);
+      track.loudness = { ...result, source: 'analysis' };
+      console.log(`[Loudness] ${track.name}: ${result.loudness === null ? 'silent' : result.loudness.toFixed(1) + ' LUFS'}`);
+
+      if (isElectron && track.path && window.electronAPI.saveLoudnessAnalysis) {
+        window.electronAPI.saveLoudnessAnalysis(track.path, result);
+      }
+      refreshNormalization();
+    } catch (error) {
+      // Leave the track unnormalized; it is not queued again this session
+      console.warn(`[Loudness] Analysis failed for ${track.name}:`, error);
+    }
+
+    // Give playback and rendering some room between tracks
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+
+  loudnessState.running = false;
+}
+
+// Decode a track and measure its integrated loudness, sample peak and duration
+async function analyzeTrackLoudness(track) {
+  const tooLarge = size => !(track.duration > 0) && size > LOUDNESS_MAX_FILE_SIZE;
+  if (track.duration > LOUDNESS_MAX_DURATION || tooLarge(track.size || (track.file && track.file.size) || 0)) {
+    throw new Error('Too long to analyse');
+  }
+
+  let data;
+  if (track.file) {
+    data = await track.file.arrayBuffer();
+  } else {
+    const url = getTrackUrl(track);
+    if (!url) throw new Error('No source to analyse');
+    data = await (await fetch(url)).arrayBuffer();
+  }
+  if (tooLarge(data.byteLength)) {
+    throw new Error('Too long to analyse');
+  }
+
+  const decoder = new OfflineAudioContext(2, 1, LOUDNESS_ANALYSIS_RATE);
+  const buffer = await decoder.decodeAudioData(data);
+  return measureLoudness(buffer);
+}
+
+// K-weighting filter (BS.1770 pre-filter shelf + RLB highpass) for a sample rate
+function getKWeightingCoefficients(sampleRate) {
+  // High shelf: +4 dB above ~1.7 kHz (head diffraction)
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  // Highpass at ~38 Hz (revised low-frequency B-curve)
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highpass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  return [shelf, highpass];
+}
+
+// Integrated loudness (LUFS, null for silence) per ITU-R BS.1770 / EBU R128
+async function measureLoudness(buffer) {
+  const stepSize = Math.round(LOUDNESS_STEP * buffer.sampleRate);
+  const stepCount = Math.floor(buffer.length / stepSize);
+  const stepEnergy = new Float64Array(stepCount);
+  const filters = getKWeightingCoefficients(buffer.sampleRate);
+  let peak = 0;
+
+  // Front channels only (weight 1.0); surround channels are not expected here
+  for (let channel = 0; channel < Math.min(buffer.numberOfChannels, 2); channel++) {
+    const samples = buffer.getChannelData(channel);
+    const state = filters.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+
+    for (let step = 0; step < stepCount; step++) {
+      let energy = 0;
+      for (let i = step * stepSize, end = i + stepSize; i < end; i++) {
+        let value = samples[i];
+        const magnitude = Math.abs(value);
+        if (magnitude > peak) peak = magnitude;
+
+        for (let f = 0; f < filters.length; f++) {
+          const c = filters[f];
+          const s = state[f];
+          const y = c.b0 * value + c.b1 * s.x1 + c.b2 * s.x2 - c.a1 * s.y1 - c.a2 * s.y2;
+          s.x2 = s.x1; s.x1 = value;
+          s.y2 = s.y1; s.y1 = y;
+          value = y;
+        }
+        energy += value * value;
+      }
+      stepEnergy[step] += energy;
+
+      // Yield every ~10 seconds of audio to keep the UI responsive
+      if (step % 100 === 99) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+  }
+
+  // Mean square of every gating block
+  const blockLength = stepSize * LOUDNESS_BLOCK_STEPS;
+  const blocks = [];
+  for (let start = 0; start + LOUDNESS_BLOCK_STEPS <= stepCount; start++) {
+    let energy = 0;
+    for (let step = start; step < start + LOUDNESS_BLOCK_STEPS; step++) {
+      energy += stepEnergy[step];
+    }
+    blocks.push(energy / blockLength);
+  }
+
+  const toLoudness = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+  const gatedMean = (threshold) => {
+    const gated = blocks.filter(z => z > 0 && toLoudness(z) > threshold);
+    return gated.length > 0 ? gated.reduce((sum, z) => sum + z, 0) / gated.length : 0;
+  };
+
+  const absoluteMean = gatedMean(LOUDNESS_ABSOLUTE_GATE);
+  let loudness = null;
+  if (absoluteMean > 0) {
+    const relativeGate = Math.max(LOUDNESS_ABSOLUTE_GATE, toLoudness(absoluteMean) + LOUDNESS_RELATIVE_GATE);
+    loudness = toLoudness(gatedMean(relativeGate));
+  }
+
+  return { loudness, peak, duration: buffer.duration };
+}
+
+// ============================================================================
+// MECHANISM SOUNDS
+// ============================================================================
+
+// Level of the mechanism layer at 100% (relative to full scale)
+const MECHANISM_LEVEL = 0.25;
+
+// Running high-speed whine (skips)
+let mechanismWhine = null;
+
+// Filtered noise burst with a decaying envelope (clicks, thuds, gear noise)
+function playNoiseBurst(time, { level, duration, type, frequency, endFrequency, Q = 1 }) {
+  const ctx = audioState.audioContext;
+  const nodes = audioState.effectNodes;
+
+  const source = ctx.createBufferSource();
+  source.buffer = nodes.noiseBuffer;
+
+  const filter = ctx.createBiquadFilter();
+  filter.type = type;
+  filter.Q.value = Q;
+  filter.frequency.setValueAtTime(frequency, time);
+  if (endFrequency) {
+    filter.frequency.exponentialRampToValueAtTime(endFrequency, time + duration);
+  }
+
+  const envelope = ctx.createGain();
+  envelope.gain.setValueAtTime(level, time);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+  source.connect(filter);
+  filter.connect(envelope);
+  envelope.connect(nodes.mechanismGain);
+
+  // Random start point so repeated bursts do not sound identical
+  source.start(time, Math.random() * (nodes.noiseBuffer.duration - duration - 0.05));
+  source.stop(time + duration + 0.05);
+}
+
+// Decaying oscillator with an optional pitch glide (thumps, motor hum)
+function playTone(time, { level, duration, frequency, endFrequency, type = 'sine', attack = 0.002, lowpass }) {
+  const ctx = audioState.audioContext;
+  const nodes = audioState.effectNodes;
+
+  const oscillator = ctx.createOscillator();
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(frequency, time);
+  if (endFrequency) {
+    oscillator.frequency.exponentialRampToValueAtTime(endFrequency, time + duration);
+  }
+
+  const envelope = ctx.createGain();
+  envelope.gain.setValueAtTime(0.0001, time);
+  envelope.gain.exponentialRampToValueAtTime(level, time + attack);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+  let output = oscillator;
+  if (lowpass) {
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = lowpass;
+    oscillator.connect(filter);
+    output = filter;
+  }
+  output.connect(envelope);
+  envelope.connect(nodes.mechanismGain);
+
+  oscillator.start(time);
+  oscillator.stop(time + duration + 0.05);
+}
+
+// Play a one-shot transport sound: 'clunk', 'motor', 'release', 'reverse' or 'whine'
+function playMechanismSound(sound) {
+  if (!audioState.effectNodes || !CONFIG.audio.mechanismSounds) return;
+
+  const time = audioState.audioContext.currentTime + 0.005;
+
+  switch (sound) {
+    case 'clunk': {
+      // Key travel click, plunger thump and the latch catching
+      const level = CONFIG.audio.clunkLevel;
+      if (level <= 0) return;
+      playNoiseBurst(time, { level: level, duration: 0.015, type: 'highpass', frequency: 2500 });
+      playTone(time, { level: 0.8 * level, duration: 0.08, frequency: 140, endFrequency: 90 });
+      playNoiseBurst(time + 0.035, { level: 0.5 * level, duration: 0.02, type: 'bandpass', frequency: 1800, Q: 2 });
+      break;
+    }
+    case 'motor': {
+      // Motor winding up to speed, with belt and gear noise following its pitch
+      const level = CONFIG.audio.motorLevel;
+      if (level <= 0) return;
+      playTone(time, { level: 0.5 * level, duration: 0.7, frequency: 30, endFrequency: 120, type: 'sawtooth', attack: 0.06, lowpass: 600 });
+      playNoiseBurst(time, { level: 0.3 * level, duration: 0.45, type: 'bandpass', frequency: 400, endFrequency: 1200, Q: 3 });
+      break;
+    }
+    case 'release': {
+      // Pinch roller falling back, a small rattle and the motor winding down
+      const level = CONFIG.audio.releaseLevel;
+      if (level <= 0) return;
+      playTone(time, { level: 0.7 * level, duration: 0.06, frequency: 90, endFrequency: 60 });
+      playNoiseBurst(time, { level: 0.6 * level, duration: 0.04, type: 'lowpass', frequency: 900 });
+      playNoiseBurst(time + 0.025, { level: 0.3 * level, duration: 0.01, type: 'bandpass', frequency: 3000, Q: 2 });
+      playTone(time, { level: 0.2 * level, duration: 0.35, frequency: 120, endFrequency: 30, type: 'sawtooth', lowpass: 500 });
+      break;
+    }
+    case 'reverse': {
+      // Auto-reverse: solenoid clack, head block turning over and the motor changing direction
+      const level = CONFIG.audio.clunkLevel;
+      if (level <= 0) return;
+      playNoiseBurst(time, { level: 0.8 * level, duration: 0.02, type: 'bandpass', frequency: 2200, Q: 2 });
+      playTone(time, { level: 0.6 * level, duration: 0.1, frequency: 110, endFrequency: 70 });
+      playNoiseBurst(time + 0.06, { level: 0.6 * level, duration: 0.025, type: 'bandpass', frequency: 1500, Q: 2 });
+      if (CONFIG.audio.motorLevel > 0) {
+        playTone(time + 0.12, { level: 0.25 * CONFIG.audio.motorLevel, duration: 0.5, frequency: 40, endFrequency: 110, type: 'sawtooth', attack: 0.05, lowpass: 500 });
+      }
+      break;
+    }
+    case 'whine':
+      // Short burst of high-speed winding for a skip
+      if (startMechanismWhine()) {
+        setTimeout(stopMechanismWhine, 350);
+      }
+      break;
+  }
+}
+
+// Start the high-speed whine (motor and tape pack at fast-wind speed).
+// Returns false when mechanism sounds are off or a whine is already running
+function startMechanismWhine() {
+  if (!audioState.effectNodes || !CONFIG.audio.mechanismSounds || mechanismWhine) return false;
+  if (CONFIG.audio.whineLevel <= 0) return false;
+
+  const ctx = audioState.audioContext;
+  const nodes = audioState.effectNodes;
+  const time = ctx.currentTime + 0.005;
+  const level = CONFIG.audio.whineLevel;
+
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0.0001, time);
+  gain.gain.exponentialRampToValueAtTime(level, time + 0.08);
+  gain.connect(nodes.mechanismGain);
+
+  // Motor whine and its slightly detuned gear partial, winding up to speed
+  const oscillators = [[900, 1800, 0.5], [1370, 2750, 0.2]].map(([start, end, partLevel]) => {
+    const oscillator = ctx.createOscillator();
+    oscillator.type = 'triangle';
+    oscillator.frequency.setValueAtTime(start, time);
+    oscillator.frequency.exponentialRampToValueAtTime(end, time + 0.3);
+    const partGain = ctx.createGain();
+    partGain.gain.value = partLevel;
+    oscillator.connect(partGain);
+    partGain.connect(gain);
+    oscillator.start(time);
+    return oscillator;
+  });
+
+  // Tape friction hiss
+  const noise = ctx.createBufferSource();
+  noise.buffer = nodes.noiseBuffer;
+  noise.loop = true;
+  const noiseFilter = ctx.createBiquadFilter();
+  noiseFilter.type = 'bandpass';
+  noiseFilter.frequency.value = 4000;
+  const noiseGain = ctx.createGain();
+  noiseGain.gain.value = 0.3;
+  noise.connect(noiseFilter);
+  noiseFilter.connect(noiseGain);
+  noiseGain.connect(gain);
+  noise.start(time);
+
+  mechanismWhine = { gain, sources: [...oscillators, noise], oscillators };
+  return true;
+}
+
+// Wind the whine down and release its nodes
+function stopMechanismWhine() {
+  if (!mechanismWhine) return;
+
+  const { gain, sources, oscillators } = mechanismWhine;
+  const time = audioState.audioContext.currentTime;
+  mechanismWhine = null;
+
+  gain.gain.cancelScheduledValues(time);
+  gain.gain.setValueAtTime(Math.max(gain.gain.value, 0.0001), time);
+  gain.gain.exponentialRampToValueAtTime(0.0001, time + 0.15);
+  oscillators.forEach(oscillator => {
+    oscillator.frequency.cancelScheduledValues(time);
+    oscillator.frequency.setValueAtTime(oscillator.frequency.value, time);
+    oscillator.frequency.exponentialRampToValueAtTime(oscillator.frequency.value * 0.5, time + 0.15);
+  });
+  sources.forEach(source => source.stop(time + 0.2));
+}
+
+// Level sliders of the individual sounds in the Effects tab
+const MECHANISM_SOUND_SLIDERS = [
+  { id: 'clunk', key: 'clunkLevel', sound: 'clunk' },
+  { id: 'motor', key: 'motorLevel', sound: 'motor' },
+  { id: 'release', key: 'releaseLevel', sound: 'release' },
+  { id: 'whine', key: 'whineLevel', sound: 'whine' }
+];
+
+// Level of the mechanism layer: master toggle, scaled by the volume setting
+function getMechanismLevel() {
+  return CONFIG.audio.mechanismSounds ? MECHANISM_LEVEL * CONFIG.audio.volume : 0;
+}
+
+// Master toggle (or volume) changed
+function applyMechanismSounds() {
+  if (!audioState.effectNodes) return;
+
+  audioState.effectNodes.mechanismGain.gain.setTargetAtTime(
+    getMechanismLevel(), audioState.audioContext.currentTime, 0.02);
+  if (!CONFIG.audio.mechanismSounds) {
+    stopMechanismWhine();
+  }
+}
+
+// ============================================================================
+// VARISPEED
+// ============================================================================
+
+// Speed trimmer range (+/-12%) and the step of the keyboard shortcuts / scroll notches
+const SPEED_RANGE = 0.12;
+const SPEED_STEP = 0.005;
+
+// Trimmer slot rotation at either end of the range (radians)
+const TRIMMER_MAX_ANGLE = Math.PI * 0.75;
+
+function getPlaySpeed() {
+  const speed = CONFIG.playback.speed;
+  if (!isFinite(speed)) return 1;
+  return Math.max(1 - SPEED_RANGE, Math.min(1 + SPEED_RANGE, speed));
+}
+
+// Run a deck at the varispeed setting. Like a capstan motor the pitch follows the
+// speed unless preserve-pitch is on; defaultPlaybackRate keeps it across loads
+function applyDeckSpeed(element) {
+  if (!element) return;
+
+  const speed = getPlaySpeed();
+  element.defaultPlaybackRate = speed;
+  element.playbackRate = speed;
+  element.preservesPitch = CONFIG.playback.preservePitch;
+}
+
+function setPlaySpeed(speed) {
+  speed = Math.round(speed / SPEED_STEP) * SPEED_STEP;
+  CONFIG.playback.speed = Math.max(1 - SPEED_RANGE, Math.min(1 + SPEED_RANGE, speed));
+
+  // The cue owns the playback rate while winding; stopCue() applies the new speed
+  if (cueState.direction === 0) {
+    audioState.decks.forEach(deck => applyDeckSpeed(deck.element));
+  }
+  // The handoff was timed for the old speed
+  cancelGaplessHandoff();
+
+  document.getElementById('slider-speed').value = ((CONFIG.playback.speed - 1) * 100).toFixed(1);
+  document.getElementById('speed-value').textContent = formatSpeed(CONFIG.playback.speed);
+  updateSpeedTrimmer();
+}
+
+// Shortcut / trimmer step, saved right away
+function nudgePlaySpeed(steps) {
+  setPlaySpeed(steps === 0 ? 1 : getPlaySpeed() + steps * SPEED_STEP);
+  updateStatusBar(`Speed: ${formatSpeed(CONFIG.playback.speed)}`);
+  saveCurrentSettings();
+}
+
+function setPreservePitch(enabled) {
+  CONFIG.playback.preservePitch = enabled;
+  if (cueState.direction === 0) {
+    audioState.decks.forEach(deck => applyDeckSpeed(deck.element));
+  }
+}
+
+// Deviation from nominal speed as shown in the UI
+function formatSpeed(speed) {
+  const percent = (speed - 1) * 100;
+  if (Math.abs(percent) < 0.05) return '0%';
+  return (percent > 0 ? '+' : '') + percent.toFixed(1) + '%';
+}
+
+// Turn the slot of the 3D trimmer to the current speed
+function updateSpeedTrimmer() {
+  if (!speedTrimmerSlot) return;
+  speedTrimmerSlot.rotation.x = -(getPlaySpeed() - 1) / SPEED_RANGE * TRIMMER_MAX_ANGLE;
+}
+
+// ============================================================================
+// SLEEP TIMER
+// ============================================================================
+
+// Timer settings in the order the T key cycles through them: minutes,
+// end of the current track or end of the playlist
+const SLEEP_TIMER_MODES = ['off', '15', '30', '45', '60', '90', 'track', 'playlist'];
+
+const SLEEP_TIMER_LABELS = {
+  off: 'Off',
+  15: '15 min',
+  30: '30 min',
+  45: '45 min',
+  60: '60 min',
+  90: '90 min',
+  track: 'End of track',
+  playlist: 'End of playlist'
+};
+
+// Length of the final fade (seconds) and the tape speed left at the end of a run-down
+const SLEEP_FADE_DURATION = 30;
+const SLEEP_RUN_DOWN_SPEED = 0.45;
+
+// Check interval (ms)
+const SLEEP_TICK = 250;
+
+const sleepTimer = {
+  mode: 'off',
+  endTime: 0,         // Minutes mode: when the deck stops (Date.now() time)
+  timer: null,
+  fading: false,      // Final fade / run-down in progress
+  fadeStart: 0,
+  fadeDuration: 0,
+  indicator: ''       // Last LCD indicator drawn
+};
+
+function setSleepTimer(mode) {
+  if (!SLEEP_TIMER_MODES.includes(mode)) mode = 'off';
+
+  interruptSleepFade();
+  clearInterval(sleepTimer.timer);
+  sleepTimer.timer = null;
+  sleepTimer.mode = mode;
+
+  if (mode !== 'off') {
+    const minutes = parseInt(mode, 10);
+    sleepTimer.endTime = minutes ? Date.now() + minutes * 60000 : 0;
+    sleepTimer.timer = setInterval(tickSleepTimer, SLEEP_TICK);
+  }
+
+  document.getElementById('select-sleep-timer').value = mode;
+  if (isElectron && window.electronAPI.updateSleepTimer) {
+    window.electronAPI.updateSleepTimer(mode);
+  }
+  sleepTimer.indicator = getScreenSleepIndicator();
+  renderScreen();
+}
+
+function cycleSleepTimer() {
+  const index = SLEEP_TIMER_MODES.indexOf(sleepTimer.mode);
+  setSleepTimer(SLEEP_TIMER_MODES[(index + 1) % SLEEP_TIMER_MODES.length]);
+  updateStatusBar(`Sleep timer: ${SLEEP_TIMER_LABELS[sleepTimer.mode]}`);
+}
+
+// The current track is the last one the normal order will play
+function isLastPlaylistTrack() {
+  if (getQueuedIndices().length > 0) return false;
+
+  if (CONFIG.playback.cassetteMode) {
+    const order = getTapeOrder();
+    return order[order.length - 1] === audioState.currentTrackIndex;
+  }
+  if (CONFIG.playback.shuffleEnabled && audioState.audioFiles.length > 1) {
+    syncPlayOrder();
+    return playOrder.shuffle.length === 0 && playOrder.position === playOrder.history.length - 1;
+  }
+  return audioState.currentTrackIndex === audioState.audioFiles.length - 1;
+}
+
+// The timer stops the deck when the current track ends (no deck switch may happen)
+function isSleepAtTrackEnd() {
+  return sleepTimer.fading ||
+    sleepTimer.mode === 'track' ||
+    (sleepTimer.mode === 'playlist' && isLastPlaylistTrack());
+}
+
+// Seconds until the deck stops, or null when that is not known yet
+function getSleepRemaining() {
+  if (sleepTimer.endTime) {
+    return (sleepTimer.endTime - Date.now()) / 1000;
+  }
+
+  const element = audioState.audioElement;
+  if (!isSleepAtTrackEnd() || !element || !isFinite(element.duration)) return null;
+  return (element.duration - element.currentTime) / (element.playbackRate || 1);
+}
+
+function tickSleepTimer() {
+  if (sleepTimer.fading) {
+    updateSleepFade();
+  } else {
+    const remaining = getSleepRemaining();
+    if (remaining !== null && remaining <= SLEEP_FADE_DURATION) {
+      if (audioState.isPlaying) {
+        startSleepFade(Math.max(0.5, remaining));
+      } else if (remaining <= 0) {
+        // Ran out while paused: nothing left to stop
+        setSleepTimer('off');
+        return;
+      }
+    }
+  }
+
+  const indicator = getScreenSleepIndicator();
+  if (indicator !== sleepTimer.indicator) {
+    sleepTimer.indicator = indicator;
+    renderScreen();
+  }
+}
+
+// Final fade to silence, with the motor running down if enabled
+function startSleepFade(duration) {
+  const nodes = audioState.effectNodes;
+  if (!nodes) return;
+
+  sleepTimer.fading = true;
+  sleepTimer.fadeStart = performance.now();
+  sleepTimer.fadeDuration = duration;
+  cancelGaplessHandoff();
+
+  // Squared fade: most of the level goes early, the tail is very quiet
+  const curve = new Float32Array(CROSSFADE_CURVE_POINTS);
+  for (let i = 0; i < curve.length; i++) {
+    const t = i / (curve.length - 1);
+    curve[i] = (1 - t) * (1 - t);
+  }
+  const gain = nodes.sleepGain.gain;
+  gain.cancelScheduledValues(audioState.audioContext.currentTime);
+  gain.setValueCurveAtTime(curve, audioState.audioContext.currentTime, duration);
+
+  updateStatusBar('Sleep timer: fading out');
+}
+
+function updateSleepFade() {
+  const progress = (performance.now() - sleepTimer.fadeStart) / 1000 / sleepTimer.fadeDuration;
+  if (progress >= 1 || !audioState.isPlaying) {
+    finishSleepTimer();
+    return;
+  }
+
+  // Run-down: the dying motor drags pitch and reels down with it
+  if (CONFIG.playback.sleepRunDown && cueState.direction === 0) {
+    const element = audioState.audioElement;
+    element.preservesPitch = false;
+    element.playbackRate = getPlaySpeed() * getSleepSpeedFactor();
+  }
+}
+
+// Speed left by the run-down (1 outside the fade)
+function getSleepSpeedFactor() {
+  if (!sleepTimer.fading || !CONFIG.playback.sleepRunDown) return 1;
+
+  const progress = Math.min(1, (performance.now() - sleepTimer.fadeStart) / 1000 / sleepTimer.fadeDuration);
+  return 1 - (1 - SLEEP_RUN_DOWN_SPEED) * progress * progress;
+}
+
+// The fade is over: stop the deck and put level and speed back for the next play
+function finishSleepTimer() {
+  sleepTimer.fading = false;
+  audioState.isPlaying = false;  // Faded out: no key release clunk once the level is back
+  stop();
+  restoreSleepFade();
+  setSleepTimer('off');
+  updateStatusBar('Sleep timer: stopped');
+}
+
+// Stop / pause while fading: the listener is awake, the timer is cancelled
+function interruptSleepFade() {
+  if (!sleepTimer.fading) return;
+
+  sleepTimer.fading = false;
+  restoreSleepFade();
+  setSleepTimer('off');
+}
+
+function restoreSleepFade() {
+  const nodes = audioState.effectNodes;
+  if (nodes) {
+    nodes.sleepGain.gain.cancelScheduledValues(audioState.audioContext.currentTime);
+    nodes.sleepGain.gain.setValueAtTime(1, audioState.audioContext.currentTime);
+  }
+  if (cueState.direction === 0) {
+    audioState.decks.forEach(deck => applyDeckSpeed(deck.element));
+  }
+}
+
+// Sleep indicator for the LCD (empty while the timer is off)
+function getScreenSleepIndicator() {
+  if (sleepTimer.mode === 'off') return '';
+  if (sleepTimer.endTime) {
+    return 'SLP ' + formatTime(Math.ceil(Math.max(0, sleepTimer.endTime - Date.now()) / 1000));
+  }
+  return sleepTimer.mode === 'track' ? 'SLP TRK' : 'SLP END';
+}
+
+// ============================================================================
+// A-B LOOP
+// ============================================================================
+
+// Fade on each side of the loop seam (seconds) and the shortest loop
+const LOOP_SEAM_FADE = 0.03;
+const LOOP_MIN_LENGTH = 0.5;
+
+const abLoop = {
+  track: null,     // Track the loop points belong to
+  a: null,         // Loop start (seconds), null when not set
+  b: null,         // Loop end; the loop runs once both are set
+  seaming: false   // Fading across the seam
+};
+
+function isLoopActive() {
+  return abLoop.b !== null && abLoop.track === audioState.audioFiles[audioState.currentTrackIndex];
+}
+
+// L key / A-B button: set A, then B, then clear
+function cycleAbLoop() {
+  const element = audioState.audioElement;
+  const track = audioState.audioFiles[audioState.currentTrackIndex];
+  if (!element || !element.src || !track) return;
+
+  const time = element.currentTime;
+
+  if (abLoop.a === null || abLoop.track !== track) {
+    abLoop.track = track;
+    abLoop.a = time;
+    abLoop.b = null;
+    updateStatusBar(`Loop: A at ${formatTime(time)}`);
+  } else if (abLoop.b === null) {
+    if (time - abLoop.a < LOOP_MIN_LENGTH) {
+      updateStatusBar('Loop: B must be after A');
+      return;
+    }
+    abLoop.b = time;
+    saveAbLoop();
+    cancelGaplessHandoff();
+    updateStatusBar(`Loop: ${formatTime(abLoop.a)} - ${formatTime(abLoop.b)}`);
+  } else {
+    clearAbLoop();
+    forgetAbLoop(track);
+    updateStatusBar('Loop: off');
+  }
+  renderScreen();
+}
+
+function clearAbLoop() {
+  abLoop.track = null;
+  abLoop.a = null;
+  abLoop.b = null;
+}
+
+function saveAbLoop() {
+  if (!CONFIG.playback.saveLoops) return;
+  audioState.savedLoops[getTrackKey(abLoop.track)] = { a: abLoop.a, b: abLoop.b };
+  saveCurrentSettings();
+}
+
+// A cleared loop is forgotten too, so it does not come back with the file
+function forgetAbLoop(track) {
+  const key = getTrackKey(track);
+  if (!audioState.savedLoops[key]) return;
+  delete audioState.savedLoops[key];
+  saveCurrentSettings();
+}
+
+// New track: loop points belong to the old one; recall a saved loop for the new one
+function recallAbLoop(track) {
+  if (abLoop.track === track) return;
+
+  clearAbLoop();
+  const saved = CONFIG.playback.saveLoops ? audioState.savedLoops[getTrackKey(track)] : null;
+  if (saved && saved.b > saved.a) {
+    abLoop.track = track;
+    abLoop.a = saved.a;
+    abLoop.b = saved.b;
+  }
+  renderScreen();
+}
+
+// Jump back to A when playback reaches B (called from the modulation tick)
+function updateAbLoop() {
+  if (!isLoopActive() || abLoop.seaming || cueState.direction !== 0 || !audioState.isPlaying) return;
+
+  const element = audioState.audioElement;
+  const fade = CONFIG.playback.loopSeamFade ? LOOP_SEAM_FADE : 0;
+  if (element.currentTime < abLoop.b - fade * (element.playbackRate || 1)) return;
+
+  if (fade === 0) {
+    element.currentTime = abLoop.a;
+    return;
+  }
+
+  // Dip the deck around the jump so the seam does not click through the tape chain
+  const deck = getActiveDeck();
+  abLoop.seaming = true;
+  rampDeckGain(deck, 0, fade);
+  setTimeout(() => {
+    abLoop.seaming = false;
+    if (isLoopActive()) {
+      element.currentTime = abLoop.a;
+    }
+    rampDeckGain(deck, 1, fade);
+  }, fade * 1000);
+}
+
+// Loop indicator for the LCD ('A-' while only A is set)
+function getScreenLoopIndicator() {
+  if (abLoop.a === null || abLoop.track !== audioState.audioFiles[audioState.currentTrackIndex]) return '';
+  return abLoop.b === null ? 'A-' : 'A-B';
+}
+
+// ============================================================================
+// FAST FORWARD / REWIND (CUE & REVIEW)
+// ============================================================================
+
+// Winding speed while FF / REW is held: starts at CUE_START_SPEED and doubles
+// every CUE_ACCELERATION seconds up to CUE_MAX_SPEED (multiples of play speed)
+const CUE_START_SPEED = 2;
+const CUE_MAX_SPEED = 32;
+const CUE_ACCELERATION = 1.5;
+
+// Fastest rate the media element plays at for the cue sound; faster winding seeks in steps
+const CUE_MAX_PLAYBACK_RATE = 8;
+
+// Smallest step (seconds) worth a seek; below it the playback rate alone does the cue
+const CUE_SEEK_EPSILON = 0.01;
+
+// Interval of the cue steps (ms) and the level of the cue / review sound
+const CUE_TICK = 100;
+const CUE_SOUND_LEVEL = 0.5;
+
+const cueState = {
+  requested: 0,     // Direction asked for by the held key / button
+  direction: 0,     // 1 = fast forward, -1 = rewind, 0 = not cueing
+  speed: 0,
+  startTime: 0,
+  timer: null
+};
+
+// Current tape transport speed relative to nominal speed (negative while rewinding)
+function getTransportSpeed() {
+  if (cueState.direction !== 0) {
+    return cueState.direction * cueState.speed;
+  }
+  return audioState.isPlaying ? getPlaySpeed() * getSleepSpeedFactor() : 0;
+}
+
+// Start winding in `direction` (1 = FF, -1 = REW) until stopCue() is called
+async function startCue(direction) {
+  if (cueState.direction === direction) return;
+  stopCue();
+  cueState.requested = direction;
+
+  await initAudioContext();
+  const element = audioState.audioElement;
+  if (!element || !element.src || !isFinite(element.duration)) return;
+
+  // Released again while the audio graph was starting
+  if (cueState.requested !== direction) return;
+
+  cueState.direction = direction;
+  cueState.speed = CUE_START_SPEED;
+  cueState.startTime = performance.now();
+
+  // A deck switch must not happen under the cue
+  cancelGaplessHandoff();
+  finishCrossfade();
+  startMechanismWhine();
+
+  if (audioState.isPlaying) {
+    // Cue / review: the sped-up tape is heard through the tape chain (or muted)
+    element.preservesPitch = false;
+    rampDeckGain(getActiveDeck(), CONFIG.playback.cueSound ? CUE_SOUND_LEVEL : 0, 0.05);
+  }
+
+  cueState.timer = setInterval(tickCue, CUE_TICK);
+  tickCue();
+}
+
+// Advance the cue by one step
+function tickCue() {
+  const element = audioState.audioElement;
+  if (cueState.direction === 0 || !element) return;
+
+  const held = (performance.now() - cueState.startTime) / 1000;
+  cueState.speed = Math.min(CUE_MAX_SPEED, CUE_START_SPEED * Math.pow(2, held / CUE_ACCELERATION));
+
+  // While playing the element runs at up to CUE_MAX_PLAYBACK_RATE; the rest is made up by seeking.
+  // Rewind plays forward snippets while stepping back, which gives the review chatter
+  const tick = CUE_TICK / 1000;
+  let natural = 0;
+  if (audioState.isPlaying) {
+    const rate = Math.min(cueState.speed, CUE_MAX_PLAYBACK_RATE);
+    element.playbackRate = rate;
+    natural = rate * tick;
+  }
+  const jump = cueState.direction * cueState.speed * tick - natural;
+
+  // The cue stops at either end of the track (like the end of the tape). A seek flushes
+  // the decoder, so there is none while the playback rate covers the cue speed
+  const target = Math.max(0, Math.min(element.duration - 0.25, element.currentTime + jump));
+  if (Math.abs(jump) > CUE_SEEK_EPSILON || target !== element.currentTime + jump) {
+    element.currentTime = target;
+  }
+}
+
+// Return to normal speed
+function stopCue() {
+  cueState.requested = 0;
+  if (cueState.direction === 0) return;
+
+  clearInterval(cueState.timer);
+  cueState.timer = null;
+  cueState.direction = 0;
+  cueState.speed = 0;
+  stopMechanismWhine();
+
+  // Back to the varispeed setting
+  audioState.decks.forEach(deck => applyDeckSpeed(deck.element));
+  if (audioState.isPlaying) {
+    rampDeckGain(getActiveDeck(), 1, 0.05);
+  }
+}
+
+// ============================================================================
+// CASSETTE SIDES (AUTO-REVERSE)
+// ============================================================================
+
+// Virtual tape lengths in minutes (both sides together)
+const TAPE_LENGTHS = {
+  C46: 46,
+  C60: 60,
+  C90: 90,
+  C120: 120
+};
+
+// Assumed length of tracks whose duration is not known yet (seconds)
+const UNKNOWN_TRACK_DURATION = 210;
+
+// Pause between the end of Side A and the start of Side B (head block turning over)
+const AUTO_REVERSE_DELAY = 800;
+
+const cassetteState = {
+  side: 'A',
+  waitingForFlip: false,  // Stopped at the end of a side
+  probing: false          // Track durations are being read
+};
+
+// Tape layout of the loaded playlist, kept until the playlist (array), the tape length
+// or a track duration (invalidateTapeLayout) changes
+const tapeLayoutCache = {
+  files: null,
+  tapeLength: null,
+  layout: null,    // { A, B, offTape }: track indices
+  order: null,     // Side A then Side B
+  sides: null      // Track index -> 'A' / 'B'
+};
+
+function invalidateTapeLayout() {
+  tapeLayoutCache.layout = null;
+}
+
+function getTrackDuration(track) {
+  return track.duration > 0 ? track.duration : UNKNOWN_TRACK_DURATION;
+}
+
+// Lay the playlist out on the tape in order: Side A until the next track does not
+// fit, then Side B. Tracks that do not fit on Side B are not on the tape
+function getTapeLayout() {
+  const cache = tapeLayoutCache;
+  if (cache.layout && cache.files === audioState.audioFiles && cache.tapeLength === CONFIG.playback.tapeLength) {
+    return cache.layout;
+  }
+
+  const sideLength = (TAPE_LENGTHS[CONFIG.playback.tapeLength] || TAPE_LENGTHS.C60) * 60 / 2;
+  const layout = { A: [], B: [], offTape: [] };
+  let side = 'A';
+  let used = 0;
+
+  audioState.audioFiles.forEach((track, index) => {
+    const duration = getTrackDuration(track);
+    // A track longer than a whole side still goes onto an empty side
+    if (side !== null && used > 0 && used + duration > sideLength) {
+      side = side === 'A' ? 'B' : null;
+      used = 0;
+    }
+    if (side === null) {
+      layout.offTape.push(index);
+      return;
+    }
+    layout[side].push(index);
+    used += duration;
+  });
+
+  cache.files = audioState.audioFiles;
+  cache.tapeLength = CONFIG.playback.tapeLength;
+  cache.layout = layout;
+  cache.order = layout.A.concat(layout.B);
+  cache.sides = new Map();
+  layout.A.forEach(index => cache.sides.set(index, 'A'));
+  layout.B.forEach(index => cache.sides.set(index, 'B'));
+  return layout;
+}
+
+// Track indices in tape playing order
+function getTapeOrder() {
+  getTapeLayout();
+  return tapeLayoutCache.order;
+}
+
+// Side a track is recorded on ('A', 'B' or null when it is not on the tape)
+function getTrackSide(index) {
+  getTapeLayout();
+  return tapeLayoutCache.sides.get(index) || null;
+}
+
+// The current track is the last one on its side
+function isEndOfTapeSide() {
+  if (!CONFIG.playback.cassetteMode) return false;
+
+  const side = getTapeLayout()[cassetteState.side];
+  return side.length > 0 && side[side.length - 1] === audioState.currentTrackIndex;
+}
+
+// Reel direction in animate(): Side B runs the transport the other way
+function getReelDirection() {
+  return CONFIG.playback.cassetteMode && cassetteState.side === 'B' ? -1 : 1;
+}
+
+// Side indicator for the LCD (empty outside cassette mode)
+function getScreenSideIndicator() {
+  if (!CONFIG.playback.cassetteMode) return '';
+  return cassetteState.side === 'B' ? '\u25C0B' : 'A\u25B6';
+}
+
+// Follow the side of a track that was loaded directly (playlist, next / prev)
+function syncCassetteSide(index) {
+  if (!CONFIG.playback.cassetteMode) return;
+
+  const side = getTrackSide(index);
+  if (side) {
+    cassetteState.side = side;
+  }
+  cassetteState.waitingForFlip = false;
+}
+
+// End of a side: auto-reverse to Side B, or stop and wait for a flip
+async function finishTapeSide() {
+  const layout = getTapeLayout();
+
+  if (cassetteState.side === 'A' && layout.B.length > 0 && CONFIG.playback.autoReverse) {
+    playMechanismSound('reverse');
+    cassetteState.side = 'B';
+    renderScreen();
+    updateStatusBar('Auto-reverse: Side B');
+
+    await new Promise(resolve => setTimeout(resolve, AUTO_REVERSE_DELAY));
+    if (!audioState.isPlaying) return;  // Stopped during the reverse
+
+    await loadTrack(layout.B[0]);
+    try {
+      await audioState.audioElement.play();
+    } catch (error) {
+      // A broken file: its error event decides what happens next (handleUnplayableTrack)
+      if (audioState.audioElement.error) return;
+      throw error;
+    }
+    return;
+  }
+
+  // End of the tape, or no auto-reverse: the deck stops
+  pause();
+  cassetteState.waitingForFlip = true;
+  updateScreenText(`END OF SIDE ${cassetteState.side}`);
+  updateStatusBar(`End of Side ${cassetteState.side} - flip the cassette (F) or press Play`);
+}
+
+// Turn the cassette over: the other side starts from its first track
+async function flipCassette() {
+  if (!CONFIG.playback.cassetteMode || audioState.audioFiles.length === 0) return;
+
+  const layout = getTapeLayout();
+  const side = cassetteState.side === 'A' ? 'B' : 'A';
+  if (layout[side].length === 0) return;  // Everything fits on Side A
+
+  if (audioState.isPlaying) {
+    pause();
+  }
+  playMechanismSound('clunk');
+
+  await loadTrack(layout[side][0]);
+  updateStatusBar(`Side ${side}: ${layout[side].length} tracks`);
+}
+
+// Read track durations (metadata only) so the tape layout becomes exact
+async function probeTrackDurations() {
+  if (cassetteState.probing) return;
+  cassetteState.probing = true;
+
+  const probe = new Audio();
+  probe.preload = 'metadata';
+
+  for (const track of audioState.audioFiles.slice()) {
+    if (!CONFIG.playback.cassetteMode) break;
+    if (track.duration > 0) continue;
+
+    const url = getTrackUrl(track);
+    if (!url) continue;
+
+    track.duration = await new Promise(resolve => {
+      const done = (value) => {
+        clearTimeout(timeout);
+        probe.onloadedmetadata = null;
+        probe.onerror = null;
+        resolve(value);
+      };
+      const timeout = setTimeout(() => done(0), 10000);
+      probe.onloadedmetadata = () => done(isFinite(probe.duration) ? probe.duration : 0);
+      probe.onerror = () => done(0);
+      probe.src = url;
+    });
+    invalidateTapeLayout();
+  }
+
+  probe.removeAttribute('src');
+  probe.load();
+  cassetteState.probing = false;
+
+  // Known durations may have moved tracks between sides
+  if (CONFIG.playback.cassetteMode) {
+    syncCassetteSide(audioState.currentTrackIndex);
+    invalidateNextTrack();
+    updateTrackInfo();
+  }
+}
+
+// Cassette mode switched on / off or the tape length changed
+function applyCassetteMode() {
+  cassetteState.waitingForFlip = false;
+  if (CONFIG.playback.cassetteMode) {
+    syncCassetteSide(audioState.currentTrackIndex);
+    probeTrackDurations();
+  }
+  invalidateNextTrack();
+  updateTrackInfo();
+  renderScreen();
+}
+
+// ============================================================================
+// PLAYBACK CONTROLS
+// ============================================================================
+async function loadTrack(index) {
+  if (audioState.audioFiles.length === 0) return;
+
+  if (index < 0) index = audioState.audioFiles.length - 1;
+  if (index >= audioState.audioFiles.length) index = 0;
+
+  audioState.currentTrackIndex = index;
+  const track = audioState.audioFiles[index];
+
+  // The track after this one has to be picked (and preloaded) again
+  audioState.nextTrackIndex = null;
+  stopCue();
+  cancelGaplessHandoff();
+  finishCrossfade();
+  noteCurrentTrack(index);
+  consumeQueuedTrack(index);
+  syncCassetteSide(index);
+  recallAbLoop(track);
+  if (CONFIG.playback.cassetteMode) {
+    probeTrackDurations();
+  }
+
+  // Automatic tape age follows the play count of the loaded track
+  if (CONFIG.audio.tapeAgeAuto) {
+    applyTapeWear();
+  }
+
+  // Reset retry counter for new track (will be set if loading from scratch)
+  if (track._retryCount === undefined) {
+    track._retryCount = 0;
+  }
+
+  // Update screen, status bar and playlist
+  // Note: showTrackOverlay is called when track starts playing, not on load
+  updateTrackInfo();
+
+  // Load audio - use appropriate source based on platform
+  try {
+    setTrackSource(audioState.audioElement, track);
+    applyNormalization(getActiveDeck(), track);
+    applyResumePosition(audioState.audioElement, track);
+
+    await audioState.audioElement.load();
+
+    if (isMobile || isCapacitor) {
+      console.log(`[Mobile] Track loaded successfully: ${track.name}, isNativePath: ${track._isNativePath}`);
+    }
+  } catch (error) {
+    console.error(`Error loading track ${track.name}:`, error);
+    updateStatusBar(`Error: ${error.message}`);
+
+    // On mobile, try fallback methods (only if not using native path - native paths don't have File objects)
+    if ((isMobile || isCapacitor) && track.file && !track._isNativePath) {
+      await tryFallbackLoading(track);
+    } else if (track._isNativePath) {
+      // Native path failed - this shouldn't happen normally
+      console.error(`[Mobile] Native path loading failed for: ${track.name}`);
+      updateStatusBar(`Cannot play: ${track.name}`);
+    }
+  }
+
+  // Save current track index for restoration on restart (Electron only)
+  if (isElectron) {
+    saveCurrentSettings();
+  }
+}
+
+// Refresh LCD, status bar and playlist for the current track
+function updateTrackInfo() {
+  const index = audioState.currentTrackIndex;
+  const track = audioState.audioFiles[index];
+  if (!track) return;
+
+  const title = getTrackTitle(track);
+  updateScreenText(title);
+  updateCoverArt(track);
+
+  // Cassette mode: side and position on the side
+  let status = `${index + 1}/${audioState.audioFiles.length}: ${title}`;
+  if (CONFIG.playback.cassetteMode) {
+    const side = getTrackSide(index);
+    const tracks = side ? getTapeLayout()[side] : [];
+    status = side
+      ? `Side ${side} ${tracks.indexOf(index) + 1}/${tracks.length}: ${title}`
+      : `Not on the ${CONFIG.playback.tapeLength}: ${title}`;
+  }
+  updateStatusBar(status);
+
+  // Update playlist if it's open
+  if (playlistOpen) {
+    updatePlaylistTracks();
+  }
+}
+
+// URL a track can be fetched or probed from (without the logging of setTrackSource)
+function getTrackUrl(track) {
+  if (track.url) return track.url;
+  if (track.path && isElectron) return 'file://' + track.path;
+  if (track.path && isCapacitor && window.Capacitor && window.Capacitor.convertFileSrc) {
+    return window.Capacitor.convertFileSrc(track.path);
+  }
+  if (track.file) {
+    track.url = URL.createObjectURL(track.file);
+    return track.url;
+  }
+  return null;
+}
+
+// Point a media element at a track - use appropriate source based on platform
+function setTrackSource(element, track) {
+  if (track._isNativePath && track.url) {
+    // Native path (from Capacitor FilePicker): URL already converted via convertFileSrc
+    // This is the most reliable method for Android - avoids blob URL issues
+    console.log(`[Mobile] Loading with native path: ${track.name}, URL: ${track.url}`);
+    element.src = track.url;
+  } else if (track.url) {
+    // Web/Mobile: use blob URL (fallback when native picker not available)
+    if (isMobile || isCapacitor) {
+      console.log(`[Mobile] Loading with blob URL: ${track.name}, URL: ${track.url.substring(0, 50)}..., retryCount: ${track._retryCount}`);
+    }
+    element.src = track.url;
+  } else if (track.path && isElectron) {
+    // Electron: use file:// URL
+    element.src = 'file://' + track.path;
+  } else if (track.path && isCapacitor && window.Capacitor && window.Capacitor.convertFileSrc) {
+    // Capacitor with native path but URL not yet converted
+    console.log(`[Mobile] Converting native path: ${track.path}`);
+    track.url = window.Capacitor.convertFileSrc(track.path);
+    track._isNativePath = true;
+    element.src = track.url;
+  } else if (track.file) {
+    // Fallback: create blob URL from File object if URL is missing
+    // Use createObjectURL directly on File (don't wrap in new Blob)
+    console.log(`[Mobile] Creating blob URL from File object for: ${track.name}`);
+    track.url = URL.createObjectURL(track.file);
+    element.src = track.url;
+  }
+}
+
+async function play() {
+  await initAudioContext();
+  const wasPlaying = audioState.isPlaying;
+  skipState.playRequested = true;
+
+  // Resume context if suspended
+  if (audioState.audioContext.state === 'suspended') {
+    await audioState.audioContext.resume();
+  }
+
+  if (audioState.audioFiles.length === 0) {
+    await openFolder();
+    if (audioState.audioFiles.length === 0) return;
+  }
+
+  // Stopped at the end of a side: Play turns the cassette over first
+  if (cassetteState.waitingForFlip) {
+    await flipCassette();
+  }
+
+  if (!audioState.audioElement.src) {
+    await loadTrack(audioState.currentTrackIndex);
+  }
+
+  try {
+    await audioState.audioElement.play();
+  } catch (error) {
+    // A broken file: its error event decides what happens next (handleUnplayableTrack)
+    if (audioState.audioElement.error) return;
+    throw error;
+  }
+  audioState.isPlaying = true;
+  if (!wasPlaying) {
+    playMechanismSound('motor');
+  }
+
+  // Show track overlay when track starts playing
+  const currentTrack = audioState.audioFiles[audioState.currentTrackIndex];
+  if (currentTrack) {
+    showTrackOverlay(getTrackTitle(currentTrack));
+  }
+
+  // Resume tape hiss noise (only if effects are enabled)
+  updateNoiseGain();
+
+  // Update tray icon (Electron only)
+  if (isElectron && window.electronAPI.updatePlayState) {
+    window.electronAPI.updatePlayState(true);
+  }
 }
 
 function stop() {
+  skipState.playRequested = false;
+  skipState.consecutive = 0;
+  interruptSleepFade();
+  stopCue();
+  cancelGaplessHandoff();
+  finishCrossfade();
+  if (audioState.isPlaying) {
+    playMechanismSound('release');
+  }
   if (audioState.audioElement) {
     audioState.audioElement.pause();
     audioState.audioElement.currentTime = 0;
@@ -1084,9 +4239,7 @@ function stop() {
   audioState.isPlaying = false;
 
   // Stop tape hiss noise
-  if (audioState.effectNodes && audioState.effectNodes.noiseGain) {
-    audioState.effectNodes.noiseGain.gain.value = 0;
-  }
+  updateNoiseGain();
 
   // Update tray icon (Electron only)
   if (isElectron && window.electronAPI.updatePlayState) {
@@ -1095,15 +4248,23 @@ function stop() {
 }
 
 function pause() {
+  skipState.playRequested = false;
+  skipState.consecutive = 0;
+  interruptSleepFade();
+  stopCue();
+  cancelGaplessHandoff();
+  finishCrossfade();
+  if (audioState.isPlaying) {
+    playMechanismSound('release');
+  }
   if (audioState.audioElement) {
     audioState.audioElement.pause();
   }
   audioState.isPlaying = false;
+  saveCurrentSettings();
 
   // Stop tape hiss noise
-  if (audioState.effectNodes && audioState.effectNodes.noiseGain) {
-    audioState.effectNodes.noiseGain.gain.value = 0;
-  }
+  updateNoiseGain();
 
   // Update tray icon (Electron only)
   if (isElectron && window.electronAPI.updatePlayState) {
@@ -1111,33 +4272,83 @@ function pause() {
   }
 }
 
-async function nextTrack() {
-  let nextIndex;
+// `fade` is the skip fade for manual presses; 0 when the track ended by itself
+async function nextTrack(fade = MANUAL_SKIP_FADE) {
+  let nextIndex = peekNextTrackIndex();
+  if (fade > 0 && (nextIndex === null || CONFIG.playback.repeatMode === 'one')) {
+    nextIndex = pickNextTrackIndex(true);
+  }
 
-  if (CONFIG.playback.shuffleEnabled && audioState.audioFiles.length > 1) {
-    // Shuffle: pick random track (different from current)
-    do {
-      nextIndex = Math.floor(Math.random() * audioState.audioFiles.length);
-    } while (nextIndex === audioState.currentTrackIndex && audioState.audioFiles.length > 1);
-  } else {
-    // Sequential: next track in order
-    nextIndex = audioState.currentTrackIndex + 1;
+  if (nextIndex === null) {
+    // Repeat off: the end of the list stops the deck
+    stop();
+    updateStatusBar('End of playlist');
+    return;
   }
 
-  await loadTrack(nextIndex);
-  if (audioState.isPlaying) {
-    await audioState.audioElement.play();
+  if (fade > 0) {
+    playMechanismSound('whine');
+  }
+
+  // Preloaded on the standby deck: switch decks without waiting for a load
+  const standby = getStandbyDeck();
+  if (audioState.isPlaying && standby && standby.ready && standby.track === audioState.audioFiles[nextIndex]) {
+    await startStandbyDeck(fade);
+    return;
   }
+
+  await skipToTrack(nextIndex, fade);
 }
 
 async function prevTrack() {
+  playMechanismSound('whine');
+
   // If more than 3 seconds into track, restart it; otherwise go to previous
   if (audioState.audioElement.currentTime > 3) {
     audioState.audioElement.currentTime = 0;
-  } else {
-    await loadTrack(audioState.currentTrackIndex - 1);
+    return;
+  }
+
+  // Shuffle: back to the track that was actually heard before this one
+  if (CONFIG.playback.shuffleEnabled && !CONFIG.playback.cassetteMode) {
+    const index = stepBackInHistory();
+    if (index === null) {
+      audioState.audioElement.currentTime = 0;
+    } else {
+      await skipToTrack(index, MANUAL_SKIP_FADE);
+    }
+    return;
+  }
+
+  await skipToTrack(audioState.currentTrackIndex - 1, MANUAL_SKIP_FADE);
+}
+
+// Load a track on the active deck, fading the old one out and the new one in while playing
+async function skipToTrack(index, fade) {
+  const deck = getActiveDeck();
+  const fading = fade > 0 && audioState.isPlaying && deck && !audioState.audioElement.paused;
+
+  if (fading) {
+    rampDeckGain(deck, 0, fade);
+    await new Promise(resolve => setTimeout(resolve, fade * 1000));
+  }
+
+  // The faded deck is restored even when the new track fails to play
+  try {
+    await loadTrack(index);
     if (audioState.isPlaying) {
-      await audioState.audioElement.play();
+      try {
+        await audioState.audioElement.play();
+      } catch (error) {
+        // A broken file: its error event decides what happens next (handleUnplayableTrack)
+        if (!audioState.audioElement.error) {
+          console.error('[Audio] Playback after skip failed:', error);
+        }
+      }
+    }
+  } finally {
+    if (fading) {
+      rampDeckGain(deck, 1, fade);
     }
   }
 }
@@ -1151,7 +4362,33 @@ async function togglePlayPause() {
 }
 
 function onTrackEnded() {
-  nextTrack();
+  // A-B loop with B at the very end: the end is the seam
+  if (isLoopActive()) {
+    audioState.audioElement.currentTime = abLoop.a;
+    audioState.audioElement.play().catch(error => {
+      // A broken file: its error event decides what happens next (handleUnplayableTrack)
+      if (!audioState.audioElement.error) {
+        console.error('[Loop] Restarting the loop failed:', error);
+      }
+    });
+    return;
+  }
+
+  registerTrackPlay(audioState.audioFiles[audioState.currentTrackIndex]);
+
+  // Sleep timer set to the end of this track (or of the playlist)
+  if (isSleepAtTrackEnd()) {
+    finishSleepTimer();
+    return;
+  }
+
+  // Cassette mode: the side ran out
+  if (isEndOfTapeSide()) {
+    finishTapeSide().catch(error => console.error('[Cassette] Side change failed:', error));
+    return;
+  }
+  // Switches to the preloaded standby deck when there is one (near-gapless)
+  nextTrack(0).catch(error => console.error('[Audio] Next track failed:', error));
 }
 
 function onAudioError(e) {
@@ -1187,15 +4424,15 @@ function onAudioError(e) {
     console.error('[Audio] Error (no details):', e);
   }
 
+  const track = audioState.audioFiles[audioState.currentTrackIndex];
+
   // On mobile, try fallback loading methods
-  if ((isMobile || isCapacitor) && audioState.audioFiles.length > 0) {
-    const track = audioState.audioFiles[audioState.currentTrackIndex];
-    if (track && track.file) {
-      // Try fallback methods (ArrayBuffer, DataURL)
-      tryFallbackLoading(track);
-    } else {
-      updateStatusBar(errorMessage);
-    }
+  if ((isMobile || isCapacitor) && track && track.file) {
+    // Try fallback methods (ArrayBuffer, DataURL)
+    tryFallbackLoading(track);
+  } else if (track && error && error.code !== MediaError.MEDIA_ERR_ABORTED) {
+    updateStatusBar(errorMessage);
+    handleUnplayableTrack(track, error);
   } else {
     updateStatusBar(errorMessage);
   }
@@ -1212,6 +4449,140 @@ function getMediaErrorName(code) {
   return names[code] || 'UNKNOWN';
 }
 
+// ============================================================================
+// UNPLAYABLE TRACKS
+// ============================================================================
+
+const skipState = {
+  playRequested: false,  // Play was pressed and not stopped since (a broken file may prevent isPlaying)
+  consecutive: 0,        // Tracks skipped in a row without one playing
+  files: null,           // Playlist the count belongs to (a new playlist starts over)
+  problems: []           // { key, name, error, message, time } of tracks that could not be played
+};
+
+// A track could not be played (after any fallbacks): mark it and skip or stop
+async function handleUnplayableTrack(track, error) {
+  const code = error ? error.code : 0;
+  const errorName = getMediaErrorName(code);
+
+  track.error = { code, name: errorName, message: error && error.message ? error.message : '' };
+  addTrackProblem(track);
+
+  const wanted = audioState.isPlaying || skipState.playRequested;
+  if (CONFIG.playback.skipPolicy !== 'skip' || !wanted) {
+    updateStatusBar(`Cannot play: ${getTrackTitle(track)} (${errorName})`);
+    return;
+  }
+
+  // Every track failed in a row: give up instead of cycling through the list forever
+  if (skipState.files !== audioState.audioFiles) {
+    skipState.files = audioState.audioFiles;
+    skipState.consecutive = 0;
+  }
+  skipState.consecutive++;
+  if (skipState.consecutive >= audioState.audioFiles.length) {
+    skipState.consecutive = 0;
+    stop();
+    updateStatusBar('No playable tracks - see Playback Problems in settings');
+    return;
+  }
+
+  // Next in the normal order; repeat-one must not retry the same file
+  let nextIndex = peekNextTrackIndex();
+  if (nextIndex === audioState.currentTrackIndex) {
+    nextIndex = pickNextTrackIndex(true);
+  }
+  if (nextIndex === null) {
+    stop();
+    updateStatusBar(`Cannot play: ${getTrackTitle(track)} (${errorName}) - end of playlist`);
+    return;
+  }
+
+  console.warn(`[Audio] Skipping unplayable track: ${track.name} (${errorName})`);
+  updateStatusBar(`Skipped: ${getTrackTitle(track)} (${errorName})`);
+  await loadTrack(nextIndex);
+  try {
+    await play();
+  } catch (playError) {
+    console.error('[Audio] Playback after skip failed:', playError);
+  }
+}
+
+// The active deck started playing: the track works after all
+function onTrackPlaying(track) {
+  skipState.consecutive = 0;
+  if (track && track.error) {
+    delete track.error;
+    removeTrackProblem(track);
+  }
+}
+
+function addTrackProblem(track) {
+  const key = getTrackKey(track);
+  skipState.problems = skipState.problems.filter(problem => problem.key !== key);
+  skipState.problems.push({
+    key,
+    name: getTrackTitle(track),
+    error: track.error.name,
+    message: track.error.message,
+    time: Date.now()
+  });
+  onProblemsChanged();
+}
+
+function removeTrackProblem(track) {
+  const key = getTrackKey(track);
+  const count = skipState.problems.length;
+  skipState.problems = skipState.problems.filter(problem => problem.key !== key);
+  if (skipState.problems.length !== count) {
+    onProblemsChanged();
+  }
+}
+
+// Clear the list; the tracks get another chance
+function clearTrackProblems() {
+  skipState.problems = [];
+  audioState.audioFiles.forEach(track => delete track.error);
+  onProblemsChanged();
+}
+
+function onProblemsChanged() {
+  updateProblemsList();
+  if (playlistOpen) {
+    updatePlaylistTracks();
+  }
+}
+
+// Problems list in the Playback tab
+function updateProblemsList() {
+  const container = document.getElementById('problems-list');
+  document.getElementById('btn-clear-problems').disabled = skipState.problems.length === 0;
+
+  if (skipState.problems.length === 0) {
+    container.innerHTML = '<div class="problems-empty">No problems</div>';
+    return;
+  }
+
+  container.innerHTML = '';
+  skipState.problems.forEach(problem => {
+    const row = document.createElement('div');
+    row.className = 'problems-row';
+    row.title = problem.message || problem.error;
+
+    const name = document.createElement('span');
+    name.className = 'problems-name';
+    name.textContent = problem.name;
+
+    const error = document.createElement('span');
+    error.className = 'problems-error';
+    error.textContent = problem.error;
+
+    row.appendChild(name);
+    row.appendChild(error);
+    container.appendChild(row);
+  });
+}
+
 // Try fallback loading methods for mobile
 // Strategy: Direct blob URL (0) -> ArrayBuffer blob (1) -> Data URL (2)
 async function tryFallbackLoading(track) {
@@ -1231,11 +4602,13 @@ async function tryFallbackLoading(track) {
     } else {
       console.log('[Mobile] File too large for DataURL fallback');
       updateStatusBar(`Cannot play: ${track.name}`);
+      handleUnplayableTrack(track, audioState.audioElement.error);
     }
   } else {
     // All methods exhausted
     console.error('[Mobile] All loading methods failed for:', track.name);
     updateStatusBar(`Cannot play: ${track.name}`);
+    handleUnplayableTrack(track, audioState.audioElement.error);
   }
 }
 
@@ -1344,21 +4717,406 @@ function getMimeType(filename) {
   return mimeTypes[ext] || 'audio/*';
 }
 
+// ============================================================================
+// FOLDER SCANNING
+// ============================================================================
+// The main process scans folders in a worker thread and streams the tracks in
+// batches. Only one scan runs at a time
+const scanState = {
+  id: null,        // Scan in progress (null when idle)
+  files: [],       // Tracks received so far
+  found: 0,        // Audio files found so far (tags of some may still be read)
+  quiet: false,    // Background scan: no progress on the LCD and status bar
+  resolve: null    // Settles the promise returned by scanFolder
+};
+
+function setupFolderScanListeners() {
+  if (!isElectron || !window.electronAPI.onScanDone) return;
+
+  window.electronAPI.onScanProgress((event, { scanId, found }) => {
+    if (scanId !== scanState.id) return;
+    scanState.found = Math.max(scanState.found, found);
+    showScanProgress();
+  });
+
+  window.electronAPI.onScanBatch((event, { scanId, files }) => {
+    if (scanId !== scanState.id) return;
+    scanState.files.push(...files);
+    scanState.found = Math.max(scanState.found, scanState.files.length);
+    showScanProgress();
+  });
+
+  window.electronAPI.onScanDone((event, result) => {
+    if (result.scanId !== scanState.id) return;
+    finishFolderScan(result);
+  });
+}
+
+// Start a scan (startScan asks the main process: folder dialog or a known path) and wait
+// for it. Resolves with { folderPath, audioFiles (sorted by name), skipped, skippedCount,
+// cancelled, error }, or null if no scan was started. A quiet scan shows no progress
+async function scanFolder(startScan, quiet = false) {
+  const started = await startScan();
+  if (!started) return null;
+
+  return new Promise((resolve) => {
+    // A scan started before was cancelled by the main process
+    if (scanState.resolve) {
+      scanState.resolve({ folderPath: null, audioFiles: [], cancelled: true });
+    }
+
+    scanState.id = started.scanId;
+    scanState.files = [];
+    scanState.found = 0;
+    scanState.quiet = quiet;
+    scanState.resolve = resolve;
+    document.getElementById('btn-cancel-scan').classList.add('visible');
+    showScanProgress();
+  });
+}
+
+function cancelFolderScan() {
+  if (scanState.id !== null) {
+    window.electronAPI.cancelFolderScan();
+  }
+}
+
+function finishFolderScan(result) {
+  const resolve = scanState.resolve;
+  const audioFiles = scanState.files.sort((a, b) => a.name.localeCompare(b.name));
+  const quiet = scanState.quiet;
+
+  scanState.id = null;
+  scanState.files = [];
+  scanState.quiet = false;
+  scanState.resolve = null;
+  document.getElementById('btn-cancel-scan').classList.remove('visible');
+
+  // Back to what was shown before the scan (callers that load the result update it again)
+  if (quiet) {
+    // Nothing was shown
+  } else if (audioState.audioFiles.length > 0) {
+    updateTrackInfo();
+  } else {
+    updateScreenText('NO FOLDER');
+  }
+  if (!quiet && (result.cancelled || result.error)) {
+    updateStatusBar(result.error ? `Cannot scan folder: ${result.error}` : 'Scan cancelled');
+  }
+
+  resolve({
+    folderPath: result.folderPath,
+    audioFiles,
+    skipped: result.skipped || [],
+    skippedCount: result.skippedCount || 0,
+    cancelled: result.cancelled,
+    error: result.error
+  });
+}
+
+function showScanProgress() {
+  if (scanState.quiet) return;
+  const count = `${scanState.found} file${scanState.found === 1 ? '' : 's'}`;
+  updateScreenText(`SCANNING... ${scanState.found}`);
+  updateStatusBar(`Scanning\u2026 ${count} (Esc to cancel)`);
+}
+
+// Status bar suffix for folders skipped by a scan (unreadable or symlink loops)
+function formatScanSkipped(result) {
+  return result.skippedCount > 0 ? ` (${result.skippedCount} folders skipped)` : '';
+}
+
+// ============================================================================
+// MUSIC LIBRARY
+// ============================================================================
+// Library folders are indexed by the main process. Their scans are incremental and
+// playlists are built from the index without touching the file system
+
+// Tracks of a folder from the library index, or null when it is not in the library
+async function getLibraryTracks(folderPath) {
+  if (!isElectron || !window.electronAPI.queryLibrary) return null;
+
+  try {
+    return await window.electronAPI.queryLibrary({ folder: folderPath });
+  } catch (error) {
+    console.warn('Error querying the library:', error);
+    return null;
+  }
+}
+
+async function addFolderToLibrary() {
+  const result = await scanFolder(() => window.electronAPI.addLibraryFolder());
+  if (result && !result.cancelled && !result.error) {
+    updateStatusBar(`Library: ${result.audioFiles.length} tracks in ${result.folderPath}${formatScanSkipped(result)}`);
+  }
+  await updateLibraryFolders();
+}
+
+async function removeFolderFromLibrary(folderPath) {
+  await window.electronAPI.removeLibraryFolder(folderPath);
+  await updateLibraryFolders();
+  updateStatusBar(`Removed from library: ${folderPath}`);
+}
+
+// Rescan all library folders one after the other (only changed files are re-read)
+async function rescanLibrary() {
+  const folders = await window.electronAPI.getLibraryFolders();
+  let trackCount = 0;
+  let skippedCount = 0;
+
+  for (const folder of folders) {
+    const result = await scanFolder(() => window.electronAPI.startFolderScan(folder.path));
+    if (result && (result.cancelled || result.error)) {
+      // Already reported by finishFolderScan
+      await updateLibraryFolders();
+      return;
+    }
+    if (result) {
+      trackCount += result.audioFiles.length;
+      skippedCount += result.skippedCount;
+    } else {
+      console.warn('[Library] Folder not found:', folder.path);
+    }
+  }
+
+  updateStatusBar(`Library: ${trackCount} tracks in ${folders.length} folders${formatScanSkipped({ skippedCount })}`);
+  await updateLibraryFolders();
+}
+
+// Incremental rescan of the library folder restored from the index: files added, changed
+// or deleted while the app was closed are merged into the playlist like watcher changes
+async function refreshLibraryPlaylist(folderPath) {
+  try {
+    const result = await scanFolder(() => window.electronAPI.startFolderScan(folderPath), true);
+    if (!result || result.cancelled || result.error || audioState.folderPath !== folderPath) return;
+
+    // The index now holds the scan result (minus tracks under skipped folders)
+    const tracks = await getLibraryTracks(folderPath);
+    if (!tracks || audioState.folderPath !== folderPath) return;
+
+    // New or changed files (changed ones get their new tags), and files that are gone
+    const indexed = new Set(tracks.map(track => track.path));
+    const loaded = new Map(audioState.audioFiles.map(track => [track.path, track]));
+    const added = tracks.filter(track => {
+      const old = loaded.get(track.path);
+      return !old || old.size !== track.size || old.mtimeMs !== track.mtimeMs;
+    });
+    const removed = [...loaded.keys()].filter(trackPath => !indexed.has(trackPath));
+    if (added.length > 0 || removed.length > 0) {
+      applyFolderChanges({ added, removed, renamed: [] });
+    }
+    watchLoadedFolder(folderPath);  // Picks up the tracks of this scan
+  } catch (error) {
+    console.warn('[Library] Background rescan failed:', error);
+  }
+}
+
+// Build the playlist from the indexed tracks of a library folder
+async function playLibraryFolder(folderPath) {
+  const tracks = await getLibraryTracks(folderPath);
+  if (!tracks || tracks.length === 0) {
+    updateStatusBar('No tracks indexed in that folder - rescan the library');
+    return;
+  }
+
+  audioState.folderPath = folderPath;
+  audioState.audioFiles = tracks;
+  audioState.currentTrackIndex = 0;
+  await loadTrack(0);
+  updateStatusBar(`Loaded ${tracks.length} tracks from the library`);
+  watchLoadedFolder(folderPath);
+  saveCurrentSettings();
+}
+
+async function updateLibraryFolders() {
+  if (!isElectron || !window.electronAPI.getLibraryFolders) return;
+
+  const container = document.getElementById('library-folders');
+  let folders = [];
+  try {
+    folders = await window.electronAPI.getLibraryFolders();
+  } catch (error) {
+    console.warn('Error getting library folders:', error);
+  }
+
+  document.getElementById('btn-library-rescan').disabled = folders.length === 0;
+  if (folders.length === 0) {
+    container.innerHTML = '<div class="library-empty">No library folders</div>';
+    return;
+  }
+
+  container.innerHTML = '';
+  folders.forEach(folder => {
+    const row = document.createElement('div');
+    row.className = 'library-row';
+    row.title = folder.path;
+
+    const name = document.createElement('span');
+    name.className = 'library-name';
+    name.textContent = folder.path.split(/[\\/]/).filter(Boolean).pop() || folder.path;
+
+    const count = document.createElement('span');
+    count.className = 'library-count';
+    count.textContent = folder.trackCount;
+
+    const playButton = document.createElement('button');
+    playButton.className = 'library-action';
+    playButton.textContent = '\u25B6';
+    playButton.title = 'Play this folder';
+    playButton.addEventListener('click', () => playLibraryFolder(folder.path));
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'library-action';
+    removeButton.textContent = '\u00D7';
+    removeButton.title = 'Remove from library';
+    removeButton.addEventListener('click', () => removeFolderFromLibrary(folder.path));
+
+    row.appendChild(name);
+    row.appendChild(count);
+    row.appendChild(playButton);
+    row.appendChild(removeButton);
+    container.appendChild(row);
+  });
+}
+
+// ============================================================================
+// FOLDER WATCHING
+// ============================================================================
+// The main process watches the loaded folder and reports added, removed and renamed
+// tracks. The playlist is updated in place: the playing track is not interrupted and
+// currentTrackIndex keeps pointing at the same file
+
+// Follow changes of the loaded folder (null for playlists of single files)
+function watchLoadedFolder(folderPath) {
+  if (isElectron && window.electronAPI.watchFolder) {
+    window.electronAPI.watchFolder(folderPath);
+  }
+}
+
+function setupFolderWatchListener() {
+  if (!isElectron || !window.electronAPI.onFolderChanged) return;
+
+  window.electronAPI.onFolderChanged((event, changes) => {
+    if (changes.folderPath === audioState.folderPath) {
+      applyFolderChanges(changes);
+    }
+  });
+}
+
+// True if a path or one of its parent folders is in a set of paths. Walks up the
+// path, so the cost does not grow with the number of paths
+function isPathOrParentIn(filePath, paths) {
+  let current = filePath;
+  while (current) {
+    if (paths.has(current)) return true;
+    const separator = Math.max(current.lastIndexOf('/'), current.lastIndexOf('\\'));
+    if (separator <= 0) return false;
+    current = current.slice(0, separator);
+  }
+  return false;
+}
+
+// Per-track data is keyed by path: move it along with a renamed file
+function moveTrackData(oldKey, newKey) {
+  audioState.queue = audioState.queue.map(key => key === oldKey ? newKey : key);
+  for (const data of [audioState.playCounts, audioState.savedLoops]) {
+    if (data[oldKey] !== undefined) {
+      data[newKey] = data[oldKey];
+      delete data[oldKey];
+    }
+  }
+}
+
+function applyFolderChanges({ added, removed, renamed }) {
+  const oldFiles = audioState.audioFiles;
+  const current = oldFiles[audioState.currentTrackIndex];
+  const files = oldFiles.slice();
+  const byPath = new Map(files.filter(track => track.path).map(track => [track.path, track]));
+
+  // Renamed or moved: the entry keeps its place and its per-track data
+  for (const { from, to } of renamed) {
+    const track = byPath.get(from);
+    if (!track) continue;
+    moveTrackData(from, to.path);
+    Object.assign(track, to);
+    delete track.missing;
+    byPath.delete(from);
+    byPath.set(to.path, track);
+  }
+
+  // Removed files and folders. The playing track stays (marked missing) until it
+  // is no longer the current one; missing tracks are dropped on the next change
+  const removedPaths = new Set(removed);
+  let remaining = files.filter(track => {
+    const gone = track.missing || (track.path && isPathOrParentIn(track.path, removedPaths));
+    if (!gone) return true;
+    if (track === current) {
+      track.missing = true;
+      return true;
+    }
+    byPath.delete(track.path);
+    return false;
+  });
+
+  const removedCount = files.length - remaining.length;
+
+  // Changed files get their new tags; new files are merged in name order like a folder scan
+  const newTracks = [];
+  for (const track of added) {
+    const existing = byPath.get(track.path);
+    if (existing) {
+      Object.assign(existing, track);
+      delete existing.missing;
+    } else {
+      newTracks.push(track);
+    }
+  }
+  const addedCount = newTracks.length;
+  if (addedCount > 0) {
+    newTracks.sort((a, b) => a.name.localeCompare(b.name));
+    const merged = [];
+    let next = 0;
+    for (const track of remaining) {
+      while (next < addedCount && newTracks[next].name.localeCompare(track.name) < 0) {
+        merged.push(newTracks[next++]);
+      }
+      merged.push(track);
+    }
+    remaining = merged.concat(newTracks.slice(next));
+  }
+
+  audioState.audioFiles = remaining;
+  audioState.currentTrackIndex = current ? Math.max(0, remaining.indexOf(current)) : 0;
+  remapPlayOrder(oldFiles);
+  invalidateNextTrack();
+
+  if (current) {
+    updateTrackInfo();  // Track number, title of a renamed file, playlist
+  } else if (playlistOpen) {
+    updatePlaylistTracks();
+  }
+  updateStatusBar(`Folder changed: ${addedCount} added, ${removedCount} removed, ${renamed.length} renamed`);
+  console.log(`[Watch] ${addedCount} added, ${removedCount} removed, ${renamed.length} renamed`);
+}
+
 // ============================================================================
 // FILE HANDLING
 // ============================================================================
 async function openFolder() {
   if (isElectron) {
     try {
-      const result = await window.electronAPI.openFolderDialog();
-      if (result && result.audioFiles.length > 0) {
+      const result = await scanFolder(() => window.electronAPI.openFolderDialog());
+      if (result && !result.cancelled && result.audioFiles.length > 0) {
         audioState.folderPath = result.folderPath;
         audioState.audioFiles = result.audioFiles;
         audioState.currentTrackIndex = 0;
         await loadTrack(0);
-        updateStatusBar(`Loaded ${result.audioFiles.length} tracks`);
+        updateStatusBar(`Loaded ${result.audioFiles.length} tracks${formatScanSkipped(result)}`);
+        watchLoadedFolder(result.folderPath);
         // Save playback state for restoration on restart
         saveCurrentSettings();
+      } else if (result && !result.cancelled && !result.error) {
+        updateStatusBar('No audio files found in that folder');
       }
     } catch (error) {
       console.error('Error opening folder:', error);
@@ -1379,6 +5137,7 @@ async function openFiles() {
         audioState.currentTrackIndex = 0;
         await loadTrack(0);
         updateStatusBar(`Loaded ${result.audioFiles.length} tracks`);
+        watchLoadedFolder(null);  // Only the chosen files, not the rest of their folder
         // Save playback state for restoration on restart
         saveCurrentSettings();
       }
@@ -1606,14 +5365,108 @@ function cleanupBlobUrls() {
 // ============================================================================
 // UI HELPERS
 // ============================================================================
+let trackOverlayTimer = null;
+
+// Seek strip interaction (the overlay stays up while it is used)
+const seekState = {
+  dragging: false,
+  hover: false
+};
+
 function showTrackOverlay(text) {
+  document.getElementById('track-overlay-title').textContent = text;
+  revealTrackOverlay();
+}
+
+// Show the overlay (title and seek strip) for a few seconds
+function revealTrackOverlay() {
+  document.getElementById('track-overlay').classList.add('visible');
+  clearTimeout(trackOverlayTimer);
+  trackOverlayTimer = setTimeout(hideTrackOverlay, 3000);
+}
+
+function hideTrackOverlay() {
+  if (seekState.dragging || seekState.hover) {
+    trackOverlayTimer = setTimeout(hideTrackOverlay, 1000);
+    return;
+  }
+  document.getElementById('track-overlay').classList.remove('visible');
+}
+
+// Position as M:SS
+function formatTime(seconds) {
+  if (!isFinite(seconds) || seconds < 0) seconds = 0;
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Update the strip fill and time (called every animation frame while visible)
+function updateSeekStrip() {
   const overlay = document.getElementById('track-overlay');
-  overlay.textContent = text;
-  overlay.classList.add('visible');
+  if (!overlay.classList.contains('visible')) return;
 
-  setTimeout(() => {
-    overlay.classList.remove('visible');
-  }, 3000);
+  const element = audioState.audioElement;
+  const duration = element && isFinite(element.duration) ? element.duration : 0;
+  const current = element ? element.currentTime : 0;
+
+  document.getElementById('seek-strip-fill').style.width = duration > 0 ? `${(current / duration) * 100}%` : '0%';
+
+  // A-B loop region (a thin marker while only A is set)
+  const loop = document.getElementById('seek-strip-loop');
+  if (duration > 0 && getScreenLoopIndicator()) {
+    const end = abLoop.b === null ? abLoop.a : abLoop.b;
+    loop.style.display = 'block';
+    loop.style.left = `${(abLoop.a / duration) * 100}%`;
+    loop.style.width = abLoop.b === null ? '2px' : `${((end - abLoop.a) / duration) * 100}%`;
+  } else {
+    loop.style.display = 'none';
+  }
+  document.getElementById('seek-time').textContent = `${formatTime(current)} / ${formatTime(duration)}`;
+}
+
+// Seek to the strip position under the pointer
+function seekFromPointer(event) {
+  const element = audioState.audioElement;
+  if (!element || !isFinite(element.duration)) return;
+
+  const rect = document.getElementById('seek-strip').getBoundingClientRect();
+  const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+  element.currentTime = fraction * element.duration;
+}
+
+function setupSeekStrip() {
+  const strip = document.getElementById('seek-strip');
+
+  strip.addEventListener('pointerdown', (e) => {
+    if (!audioState.audioElement || !audioState.audioElement.src) return;
+    seekState.dragging = true;
+    strip.setPointerCapture(e.pointerId);
+    seekFromPointer(e);
+  });
+  strip.addEventListener('pointermove', (e) => {
+    if (seekState.dragging) seekFromPointer(e);
+  });
+  const endDrag = () => {
+    seekState.dragging = false;
+  };
+  strip.addEventListener('pointerup', endDrag);
+  strip.addEventListener('pointercancel', endDrag);
+
+  strip.addEventListener('pointerenter', () => {
+    seekState.hover = true;
+  });
+  strip.addEventListener('pointerleave', () => {
+    seekState.hover = false;
+  });
+
+  // Pointer activity near the top of the window brings the overlay back
+  document.addEventListener('pointermove', (e) => {
+    if (e.clientY < 120 && audioState.audioFiles.length > 0) revealTrackOverlay();
+  });
+  document.addEventListener('pointerdown', (e) => {
+    if (e.clientY < 120 && audioState.audioFiles.length > 0) revealTrackOverlay();
+  });
 }
 
 function updateStatusBar(text) {
@@ -1723,6 +5576,17 @@ function setupEventListeners() {
 
   // Keyboard controls
   document.addEventListener('keydown', onKeyDown);
+  document.addEventListener('keyup', onKeyUp);
+
+  // Press-and-hold FF / REW buttons (mouse and touch)
+  canvas.addEventListener('mousedown', onButtonHoldStart);
+  document.addEventListener('mouseup', stopCue);
+  if (isMobile || isCapacitor) {
+    canvas.addEventListener('touchstart', onButtonHoldStart, { passive: true });
+    canvas.addEventListener('touchend', stopCue, { passive: true });
+    canvas.addEventListener('touchcancel', stopCue, { passive: true });
+  }
+  window.addEventListener('blur', stopCue);
 
   // Drag and drop (desktop only - mobile uses file input)
   if (!isMobile && !isCapacitor) {
@@ -1740,12 +5604,29 @@ function setupEventListeners() {
   // Setup playlist panel event listeners
   setupPlaylistEventListeners();
 
+  // Seek strip in the track overlay
+  setupSeekStrip();
+
+  // Progress and results of background folder scans (Electron only)
+  setupFolderScanListeners();
+
+  // Changes in the loaded folder (Electron only)
+  setupFolderWatchListener();
+
   // Listen for tray toggle play event (Electron only)
   if (isElectron && window.electronAPI.onTrayTogglePlay) {
     window.electronAPI.onTrayTogglePlay(async () => {
       await togglePlayPause();
     });
   }
+
+  // Sleep timer picked in the tray menu (Electron only)
+  if (isElectron && window.electronAPI.onTraySleepTimer) {
+    window.electronAPI.onTraySleepTimer((event, mode) => {
+      setSleepTimer(mode);
+      updateStatusBar(`Sleep timer: ${SLEEP_TIMER_LABELS[sleepTimer.mode]}`);
+    });
+  }
 }
 
 function onContextMenu(event) {
@@ -1942,10 +5823,32 @@ function getPinchDistance(touches) {
 }
 
 async function handleButtonPress(buttonType) {
+  // FF / REW act while held (see onButtonHoldStart)
+  if (buttonType === 'ff' || buttonType === 'rew') return;
+
+  // Speed trimmer: a click centres it (no key mechanism to clunk)
+  if (buttonType === 'speedTrimmer') {
+    nudgePlaySpeed(0);
+    return;
+  }
+
+  // The key clunk needs the audio graph, even before the first play
+  await initAudioContext();
+  playMechanismSound('clunk');
+
   switch (buttonType) {
     case 'play':
       await togglePlayPause();
       break;
+    case 'counterReset':
+      resetTapeCounter();
+      break;
+    case 'counterMode':
+      toggleCounterMode();
+      break;
+    case 'abLoop':
+      cycleAbLoop();
+      break;
     case 'stop':
       stop();
       break;
@@ -1958,9 +5861,52 @@ async function handleButtonPress(buttonType) {
   }
 }
 
+// Type of the button under a screen point that passes `filter`, or null
+function getButtonAt(clientX, clientY, filter) {
+  const canvas = document.getElementById('three-canvas');
+  const rect = canvas.getBoundingClientRect();
+
+  mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+  mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+
+  raycaster.setFromCamera(mouse, camera);
+
+  const buttonsGroup = cassettePlayer.userData.buttonsGroup;
+  if (!buttonsGroup) return null;
+
+  const meshes = buttonsGroup.children.filter(c => c.userData.isButton && filter(c));
+  const intersects = raycaster.intersectObjects(meshes);
+  return intersects.length > 0 ? intersects[0].object.userData.buttonType : null;
+}
+
+// Hold button (FF / REW) under a screen point, or null
+function getHoldButtonAt(clientX, clientY) {
+  return getButtonAt(clientX, clientY, c => c.userData.isHoldButton);
+}
+
+// Press on FF / REW: clunk and wind while held
+async function onButtonHoldStart(event) {
+  const point = event.touches ? event.touches[0] : event;
+  if (event.touches && event.touches.length !== 1) return;
+  if (!event.touches && event.button !== 0) return;
+
+  const buttonType = getHoldButtonAt(point.clientX, point.clientY);
+  if (!buttonType) return;
+
+  await initAudioContext();
+  playMechanismSound('clunk');
+  await startCue(buttonType === 'ff' ? 1 : -1);
+}
+
 function onMouseWheel(event) {
   event.preventDefault();
 
+  // Over the speed trimmer the wheel turns it instead of zooming
+  if (getButtonAt(event.clientX, event.clientY, c => c.userData.buttonType === 'speedTrimmer')) {
+    nudgePlaySpeed(event.deltaY < 0 ? 1 : -1);
+    return;
+  }
+
   // Zoom in/out (centered on player)
   const zoomSpeed = 0.01;
   const direction = event.deltaY > 0 ? 1 : -1;
@@ -1970,22 +5916,46 @@ function onMouseWheel(event) {
   camera.position.z = Math.max(0.12, Math.min(0.6, camera.position.z));
 }
 
+// Input types that take typed text (checkboxes, sliders and buttons keep the shortcuts)
+const TEXT_INPUT_TYPES = ['text', 'search', 'number', 'email', 'url', 'tel', 'password'];
+
+// Keys typed into a text field or editable element belong to it, not to the player
+function isFormFieldTarget(target) {
+  if (!target) return false;
+  if (target.tagName === 'INPUT') return TEXT_INPUT_TYPES.includes(target.type);
+  return target.tagName === 'TEXTAREA' || target.isContentEditable;
+}
+
 async function onKeyDown(event) {
+  // Esc still closes the settings from a field (e.g. the EQ preset name)
+  if (isFormFieldTarget(event.target) && event.code !== 'Escape') return;
+
   switch (event.code) {
     case 'Space':
       event.preventDefault();
       await togglePlayPause();
       break;
     case 'ArrowRight':
-      await nextTrack();
+      if (event.shiftKey) {
+        // Shift+Right: fast forward while held (ignore key auto-repeat)
+        if (!event.repeat) await startCue(1);
+      } else {
+        await nextTrack();
+      }
       break;
     case 'ArrowLeft':
-      await prevTrack();
+      if (event.shiftKey) {
+        // Shift+Left: rewind while held
+        if (!event.repeat) await startCue(-1);
+      } else {
+        await prevTrack();
+      }
       break;
     case 'ArrowUp':
       if (audioState.effectNodes) {
         CONFIG.audio.volume = Math.min(1, CONFIG.audio.volume + 0.1);
         audioState.effectNodes.mainGain.gain.value = CONFIG.audio.volume;
+        applyMechanismSounds();
         saveCurrentSettings();
       }
       break;
@@ -1993,9 +5963,44 @@ async function onKeyDown(event) {
       if (audioState.effectNodes) {
         CONFIG.audio.volume = Math.max(0, CONFIG.audio.volume - 0.1);
         audioState.effectNodes.mainGain.gain.value = CONFIG.audio.volume;
+        applyMechanismSounds();
         saveCurrentSettings();
       }
       break;
+    case 'KeyF':
+      // Turn the cassette over (cassette mode)
+      if (!event.ctrlKey && !event.repeat) {
+        await flipCassette();
+      }
+      break;
+    case 'BracketLeft':
+      // Varispeed: slower / faster / nominal
+      nudgePlaySpeed(-1);
+      break;
+    case 'BracketRight':
+      nudgePlaySpeed(1);
+      break;
+    case 'Backslash':
+      nudgePlaySpeed(0);
+      break;
+    case 'KeyL':
+      // A-B loop: set A, set B, clear
+      if (!event.ctrlKey && !event.repeat) {
+        cycleAbLoop();
+      }
+      break;
+    case 'KeyT':
+      // Cycle sleep timer
+      if (!event.ctrlKey && !event.repeat) {
+        cycleSleepTimer();
+      }
+      break;
+    case 'KeyR':
+      // Cycle repeat mode
+      if (!event.ctrlKey && !event.repeat) {
+        cycleRepeatMode();
+      }
+      break;
     case 'KeyO':
       if (event.ctrlKey) {
         event.preventDefault();
@@ -2003,13 +6008,23 @@ async function onKeyDown(event) {
       }
       break;
     case 'Escape':
+      closeTrackMenu();
       if (settingsOpen) {
         closeSettings();
+      } else {
+        cancelFolderScan();
       }
       break;
   }
 }
 
+function onKeyUp(event) {
+  // Releasing the arrow or Shift ends fast forward / rewind
+  if (['ArrowRight', 'ArrowLeft', 'ShiftLeft', 'ShiftRight'].includes(event.code)) {
+    stopCue();
+  }
+}
+
 async function onFileDrop(event) {
   event.preventDefault();
 
@@ -2026,10 +6041,21 @@ async function onFileDrop(event) {
     }));
 
   if (audioFiles.length > 0) {
+    // Dropped files skip the main process scan: read their tags separately
+    if (isElectron && window.electronAPI.getTrackInfo && audioFiles.every(file => file.path)) {
+      try {
+        const infos = await window.electronAPI.getTrackInfo(audioFiles.map(file => file.path));
+        infos.forEach((info, i) => Object.assign(audioFiles[i], info));
+      } catch (error) {
+        console.warn('Error reading tags of dropped files:', error);
+      }
+    }
+
     audioState.audioFiles = audioFiles;
     audioState.currentTrackIndex = 0;
     await loadTrack(0);
     updateStatusBar(`Loaded ${audioFiles.length} tracks via drag & drop`);
+    watchLoadedFolder(null);
   }
 }
 
@@ -2039,9 +6065,11 @@ async function onFileDrop(event) {
 function animate() {
   animationId = requestAnimationFrame(animate);
 
-  // Animate reels when playing
-  if (audioState.isPlaying && cassettePlayer.userData.reelGroup) {
-    reelRotation += 0.02;
+  // Animate reels with the tape transport (play, fast forward, rewind)
+  const transportSpeed = getTransportSpeed();
+  if (transportSpeed !== 0 && cassettePlayer.userData.reelGroup) {
+    // Fast winding is capped visually to avoid wagon-wheel strobing
+    reelRotation += 0.02 * Math.max(-12, Math.min(12, transportSpeed)) * getReelDirection();
     const reelGroup = cassettePlayer.userData.reelGroup;
     const leftReel = reelGroup.getObjectByName('leftReel');
     const rightReel = reelGroup.getObjectByName('rightReel');
@@ -2050,6 +6078,10 @@ function animate() {
     if (rightReel) rightReel.rotation.z = reelRotation * 1.1; // Slightly faster
   }
 
+  // Tape counter rolls with the reels; the seek strip follows the position
+  updateTapeCounter();
+  updateSeekStrip();
+
   renderer.render(scene, camera);
 }
 
@@ -2181,6 +6213,7 @@ function closePlaylist() {
   const overlay = document.getElementById('playlist-overlay');
   overlay.classList.remove('visible');
   playlistOpen = false;
+  closeTrackMenu();
 }
 
 function togglePlaylist() {
@@ -2193,6 +6226,7 @@ function togglePlaylist() {
 
 function updatePlaylistTracks() {
   const container = document.getElementById('playlist-tracks');
+  updatePlaylistQueue();
 
   if (audioState.audioFiles.length === 0) {
     container.innerHTML = '<div class="playlist-empty">No tracks loaded</div>';
@@ -2200,6 +6234,7 @@ function updatePlaylistTracks() {
   }
 
   container.innerHTML = '';
+  const queuePositions = getQueuePositions();
 
   audioState.audioFiles.forEach((track, index) => {
     const trackElement = document.createElement('div');
@@ -2207,6 +6242,12 @@ function updatePlaylistTracks() {
     if (index === audioState.currentTrackIndex) {
       trackElement.classList.add('active');
     }
+    if (track.error) {
+      trackElement.classList.add('error');
+    }
+    if (track.missing) {
+      trackElement.classList.add('missing');
+    }
 
     const trackNumber = document.createElement('div');
     trackNumber.className = 'playlist-track-number';
@@ -2214,23 +6255,113 @@ function updatePlaylistTracks() {
 
     const trackName = document.createElement('div');
     trackName.className = 'playlist-track-name';
-    trackName.textContent = track.name;
+    trackName.textContent = getTrackTitle(track);
+    trackName.title = track.fullName || track.name;
 
     trackElement.appendChild(trackNumber);
     trackElement.appendChild(trackName);
 
-    trackElement.addEventListener('click', async () => {
-      await loadTrack(index);
-      if (audioState.isPlaying) {
-        await audioState.audioElement.play();
-      }
-      updatePlaylistTracks();
-    });
+    // Duration from the tags
+    if (track.duration > 0) {
+      const trackDuration = document.createElement('div');
+      trackDuration.className = 'playlist-track-duration';
+      trackDuration.textContent = formatTime(track.duration);
+      trackElement.appendChild(trackDuration);
+    }
+
+    // Unplayable: error icon with the MediaError name
+    if (track.error) {
+      const errorIcon = document.createElement('div');
+      errorIcon.className = 'playlist-track-error';
+      errorIcon.textContent = '\u26A0';
+      errorIcon.title = track.error.name + (track.error.message ? ': ' + track.error.message : '');
+      trackElement.appendChild(errorIcon);
+    }
+
+    // Queue position badge
+    const queuePosition = queuePositions.get(index);
+    if (queuePosition !== undefined) {
+      const queueBadge = document.createElement('div');
+      queueBadge.className = 'playlist-track-queue';
+      queueBadge.textContent = 'Q' + (queuePosition + 1);
+      trackElement.appendChild(queueBadge);
+    }
+
+    trackElement.addEventListener('click', () => playPlaylistTrack(index));
+    trackElement.addEventListener('contextmenu', (e) => openTrackMenu(e, index));
+
+    container.appendChild(trackElement);
+  });
+}
+
+// "Up next" section above the playlist (hidden while the queue is empty)
+function updatePlaylistQueue() {
+  const section = document.getElementById('playlist-queue');
+  const container = document.getElementById('playlist-queue-tracks');
+  const queued = getQueuedIndices();
+
+  section.classList.toggle('visible', queued.length > 0);
+  container.innerHTML = '';
+
+  queued.forEach((index, position) => {
+    const track = audioState.audioFiles[index];
+
+    const trackElement = document.createElement('div');
+    trackElement.className = 'playlist-track';
+
+    const trackNumber = document.createElement('div');
+    trackNumber.className = 'playlist-track-number';
+    trackNumber.textContent = 'Q' + (position + 1);
+
+    const trackName = document.createElement('div');
+    trackName.className = 'playlist-track-name';
+    trackName.textContent = getTrackTitle(track);
+
+    trackElement.appendChild(trackNumber);
+    trackElement.appendChild(trackName);
+
+    trackElement.addEventListener('click', () => playPlaylistTrack(index));
+    trackElement.addEventListener('contextmenu', (e) => openTrackMenu(e, index));
 
     container.appendChild(trackElement);
   });
 }
 
+async function playPlaylistTrack(index) {
+  await loadTrack(index);
+  if (audioState.isPlaying) {
+    await audioState.audioElement.play();
+  }
+  updatePlaylistTracks();
+}
+
+// Track the context menu was opened for
+let trackMenuIndex = -1;
+
+function openTrackMenu(event, index) {
+  event.preventDefault();
+  event.stopPropagation();
+
+  const menu = document.getElementById('playlist-context-menu');
+  trackMenuIndex = index;
+
+  // Only offer the actions that change something
+  const queued = getQueuePosition(index) >= 0;
+  menu.querySelector('[data-action="remove"]').style.display = queued ? '' : 'none';
+
+  // Keep the menu inside the window
+  menu.classList.add('visible');
+  const x = Math.min(event.clientX, window.innerWidth - menu.offsetWidth - 4);
+  const y = Math.min(event.clientY, window.innerHeight - menu.offsetHeight - 4);
+  menu.style.left = Math.max(4, x) + 'px';
+  menu.style.top = Math.max(4, y) + 'px';
+}
+
+function closeTrackMenu() {
+  document.getElementById('playlist-context-menu').classList.remove('visible');
+  trackMenuIndex = -1;
+}
+
 function setupPlaylistEventListeners() {
   // Close button
   document.getElementById('playlist-close').addEventListener('click', closePlaylist);
@@ -2242,16 +6373,65 @@ function setupPlaylistEventListeners() {
     }
   });
 
+  // Track context menu: play next / add to queue / remove from queue
+  const trackMenu = document.getElementById('playlist-context-menu');
+  trackMenu.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-action]');
+    if (!item) return;
+
+    const index = trackMenuIndex;
+    closeTrackMenu();
+    switch (item.dataset.action) {
+      case 'playNext':
+        queueTrack(index, true);
+        break;
+      case 'addToQueue':
+        queueTrack(index, false);
+        break;
+      case 'remove':
+        unqueueTrack(index);
+        break;
+    }
+  });
+  trackMenu.addEventListener('contextmenu', (e) => e.preventDefault());
+
+  // Any click or scroll elsewhere closes the menu
+  document.addEventListener('mousedown', (e) => {
+    if (!trackMenu.contains(e.target)) closeTrackMenu();
+  });
+  document.getElementById('playlist-tracks').addEventListener('scroll', closeTrackMenu);
+
+  document.getElementById('btn-clear-queue').addEventListener('click', () => {
+    audioState.queue = [];
+    onQueueChanged();
+  });
+
   // Shuffle toggle
   const shuffleCheckbox = document.getElementById('checkbox-shuffle');
   shuffleCheckbox.checked = CONFIG.playback.shuffleEnabled;
   shuffleCheckbox.addEventListener('change', (e) => {
     CONFIG.playback.shuffleEnabled = e.target.checked;
+    if (CONFIG.playback.shuffleEnabled) {
+      resetShufflePass();
+    }
+    invalidateNextTrack();
     saveCurrentSettings();
   });
+
+  // Repeat mode (cycles off / all / one)
+  const repeatButton = document.getElementById('btn-repeat');
+  repeatButton.textContent = REPEAT_LABELS[CONFIG.playback.repeatMode] || REPEAT_LABELS.all;
+  repeatButton.addEventListener('click', cycleRepeatMode);
+}
+
+// Crossfade length as shown next to its slider
+function formatCrossfade(seconds) {
+  return seconds > 0 ? seconds.toFixed(1) + ' s' : 'Off';
 }
 
 function syncSettingsUI() {
+  updateLibraryFolders();
+
   // Sync slider values with current CONFIG
   document.getElementById('slider-volume').value = CONFIG.audio.volume * 100;
   document.getElementById('volume-value').textContent = Math.round(CONFIG.audio.volume * 100) + '%';
@@ -2265,12 +6445,56 @@ function syncSettingsUI() {
   document.getElementById('slider-saturation').value = CONFIG.audio.saturationLevel * 100;
   document.getElementById('saturation-value').textContent = Math.round(CONFIG.audio.saturationLevel * 100) + '%';
 
+  document.getElementById('select-tape-type').value = TAPE_PROFILES[CONFIG.audio.tapeType] ? CONFIG.audio.tapeType : 'normal';
+  document.getElementById('select-noise-reduction').value = getNoiseReductionMode() ? CONFIG.audio.noiseReduction : 'off';
+
+  document.getElementById('slider-tape-age').value = CONFIG.audio.tapeAge * 100;
+  document.getElementById('tape-age-value').textContent = Math.round(CONFIG.audio.tapeAge * 100) + '%';
+  document.getElementById('checkbox-tape-age-auto').checked = CONFIG.audio.tapeAgeAuto;
+
+  document.getElementById('slider-azimuth').value = CONFIG.audio.azimuthError * 100;
+  document.getElementById('azimuth-value').textContent = Math.round(CONFIG.audio.azimuthError * 100) + '%';
+  document.getElementById('slider-crosstalk').value = CONFIG.audio.crosstalk * 100;
+  document.getElementById('crosstalk-value').textContent = Math.round(CONFIG.audio.crosstalk * 100) + '%';
+  document.getElementById('slider-balance-drift').value = CONFIG.audio.balanceDrift * 100;
+  document.getElementById('balance-drift-value').textContent = Math.round(CONFIG.audio.balanceDrift * 100) + '%';
+
+  document.getElementById('checkbox-mechanism-sounds').checked = CONFIG.audio.mechanismSounds;
+  MECHANISM_SOUND_SLIDERS.forEach(({ id, key }) => {
+    document.getElementById('slider-' + id).value = CONFIG.audio[key] * 100;
+    document.getElementById(id + '-value').textContent = Math.round(CONFIG.audio[key] * 100) + '%';
+  });
+
   document.getElementById('slider-lowcut').value = CONFIG.audio.lowCutoff;
   document.getElementById('lowcut-value').textContent = CONFIG.audio.lowCutoff + ' Hz';
 
   document.getElementById('slider-highcut').value = CONFIG.audio.highCutoff;
   document.getElementById('highcut-value').textContent = CONFIG.audio.highCutoff + ' Hz';
 
+  document.getElementById('slider-speed').value = ((getPlaySpeed() - 1) * 100).toFixed(1);
+  document.getElementById('speed-value').textContent = formatSpeed(getPlaySpeed());
+  document.getElementById('checkbox-preserve-pitch').checked = CONFIG.playback.preservePitch;
+  document.getElementById('select-sleep-timer').value = sleepTimer.mode;
+  document.getElementById('checkbox-loop-seam-fade').checked = CONFIG.playback.loopSeamFade;
+  document.getElementById('select-skip-policy').value = CONFIG.playback.skipPolicy;
+  document.getElementById('input-title-format').value = CONFIG.playback.titleFormat;
+  document.getElementById('select-title-format').value = TITLE_FORMAT_PRESETS.includes(CONFIG.playback.titleFormat)
+    ? CONFIG.playback.titleFormat
+    : 'custom';
+  updateProblemsList();
+  document.getElementById('checkbox-save-loops').checked = CONFIG.playback.saveLoops;
+  document.getElementById('checkbox-sleep-run-down').checked = CONFIG.playback.sleepRunDown;
+  document.getElementById('slider-crossfade').value = CONFIG.playback.crossfadeDuration;
+  document.getElementById('crossfade-value').textContent = formatCrossfade(CONFIG.playback.crossfadeDuration);
+  document.getElementById('select-crossfade-curve').value = CONFIG.playback.crossfadeCurve;
+  document.getElementById('select-normalization').value = CONFIG.playback.normalization;
+  document.getElementById('checkbox-cue-sound').checked = CONFIG.playback.cueSound;
+  document.getElementById('checkbox-auto-resume').checked = CONFIG.playback.autoResume;
+  document.getElementById('select-counter-mode').value = CONFIG.playback.counterMode;
+  document.getElementById('checkbox-cassette-mode').checked = CONFIG.playback.cassetteMode;
+  document.getElementById('select-tape-length').value = TAPE_LENGTHS[CONFIG.playback.tapeLength] ? CONFIG.playback.tapeLength : 'C60';
+  document.getElementById('checkbox-auto-reverse').checked = CONFIG.playback.autoReverse;
+
   // Sync effects enabled checkbox
   document.getElementById('checkbox-effects-enabled').checked = CONFIG.audio.effectsEnabled;
 
@@ -2297,6 +6521,224 @@ function syncSettingsUI() {
 
   // Sync UI settings (controls hint visibility)
   document.getElementById('checkbox-show-controls-hint').checked = CONFIG.ui.showControlsHint;
+  document.getElementById('checkbox-show-cover-art').checked = CONFIG.ui.showCoverArt;
+
+  // Sync equalizer
+  syncEqualizerUI();
+}
+
+// ============================================================================
+// EQUALIZER PANEL
+// ============================================================================
+
+// Filters on a private offline context, used only to draw the response curve
+let eqPreviewBands = null;
+
+// Format a gain value for display (e.g. "+3 dB")
+function formatDecibels(value) {
+  return (value > 0 ? '+' : '') + value + ' dB';
+}
+
+// Rebuild the preset list (built-in presets, then user presets, then Custom)
+function populateEqualizerPresets() {
+  const select = document.getElementById('select-eq-preset');
+  select.innerHTML = '';
+
+  const builtIn = document.createElement('optgroup');
+  builtIn.label = 'Built-in';
+  Object.keys(EQ_PRESETS).forEach(key => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = EQ_PRESETS[key].label;
+    builtIn.appendChild(option);
+  });
+  select.appendChild(builtIn);
+
+  const userNames = Object.keys(CONFIG.equalizer.userPresets);
+  if (userNames.length > 0) {
+    const user = document.createElement('optgroup');
+    user.label = 'My Presets';
+    userNames.forEach(name => {
+      const option = document.createElement('option');
+      option.value = 'user:' + name;
+      option.textContent = name;
+      user.appendChild(option);
+    });
+    select.appendChild(user);
+  }
+
+  const custom = document.createElement('option');
+  custom.value = 'custom';
+  custom.textContent = 'Custom';
+  select.appendChild(custom);
+
+  select.value = CONFIG.equalizer.preset;
+  if (select.value !== CONFIG.equalizer.preset) {
+    select.value = 'custom';
+  }
+}
+
+// Load a built-in ('rock') or user ('user:<name>') preset
+function loadEqualizerPreset(presetId) {
+  const preset = presetId.startsWith('user:')
+    ? CONFIG.equalizer.userPresets[presetId.slice(5)]
+    : EQ_PRESETS[presetId];
+  if (!preset) return;
+
+  CONFIG.equalizer.preamp = preset.preamp;
+  CONFIG.equalizer.bands = preset.bands.slice();
+  CONFIG.equalizer.preset = presetId;
+  applyEqualizer();
+}
+
+// Draw the combined frequency response of preamp and bands
+function drawEqualizerCurve() {
+  const canvas = document.getElementById('eq-curve');
+  const ctx = canvas.getContext('2d');
+  const width = canvas.width;
+  const height = canvas.height;
+  const range = 15;  // dB shown above and below 0
+
+  if (!eqPreviewBands) {
+    eqPreviewBands = createEqualizerBands(new OfflineAudioContext(1, 1, 44100));
+  }
+
+  const frequencies = new Float32Array(width);
+  for (let x = 0; x < width; x++) {
+    frequencies[x] = 20 * Math.pow(1000, x / (width - 1));  // 20 Hz - 20 kHz, log scale
+  }
+
+  const total = new Float32Array(width).fill(CONFIG.equalizer.preamp);
+  const magnitude = new Float32Array(width);
+  const phase = new Float32Array(width);
+  eqPreviewBands.forEach((band, index) => {
+    band.gain.value = CONFIG.equalizer.bands[index];
+    band.getFrequencyResponse(frequencies, magnitude, phase);
+    for (let x = 0; x < width; x++) {
+      total[x] += 20 * Math.log10(magnitude[x]);
+    }
+  });
+
+  ctx.fillStyle = '#1a1a2e';
+  ctx.fillRect(0, 0, width, height);
+
+  // 0 dB reference line
+  ctx.strokeStyle = '#3a3a5a';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(0, height / 2);
+  ctx.lineTo(width, height / 2);
+  ctx.stroke();
+
+  ctx.strokeStyle = CONFIG.equalizer.enabled ? CONFIG.player.textColor : 'rgba(255, 255, 255, 0.3)';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  for (let x = 0; x < width; x++) {
+    const db = Math.max(-range, Math.min(range, total[x]));
+    const y = height / 2 - (db / range) * (height / 2 - 2);
+    if (x === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  }
+  ctx.stroke();
+}
+
+function syncEqualizerUI() {
+  document.getElementById('checkbox-eq-enabled').checked = CONFIG.equalizer.enabled;
+
+  document.getElementById('slider-eq-preamp').value = CONFIG.equalizer.preamp;
+  document.getElementById('eq-preamp-value').textContent = formatDecibels(CONFIG.equalizer.preamp);
+
+  CONFIG.equalizer.bands.forEach((gain, index) => {
+    document.getElementById('slider-eq-' + index).value = gain;
+    document.getElementById('eq-value-' + index).textContent = formatDecibels(gain);
+  });
+
+  populateEqualizerPresets();
+  document.getElementById('btn-eq-delete-preset').disabled = !CONFIG.equalizer.preset.startsWith('user:');
+  drawEqualizerCurve();
+}
+
+function setupEqualizerEventListeners() {
+  // Equalizer enabled checkbox
+  document.getElementById('checkbox-eq-enabled').addEventListener('change', (e) => {
+    CONFIG.equalizer.enabled = e.target.checked;
+    applyEqualizer();
+    drawEqualizerCurve();
+    saveCurrentSettings();
+  });
+
+  // Preset selector
+  document.getElementById('select-eq-preset').addEventListener('change', (e) => {
+    if (e.target.value === 'custom') {
+      CONFIG.equalizer.preset = 'custom';
+    } else {
+      loadEqualizerPreset(e.target.value);
+    }
+    syncEqualizerUI();
+    saveCurrentSettings();
+  });
+
+  // Preamp slider
+  document.getElementById('slider-eq-preamp').addEventListener('input', (e) => {
+    CONFIG.equalizer.preamp = parseInt(e.target.value);
+    CONFIG.equalizer.preset = 'custom';
+    document.getElementById('eq-preamp-value').textContent = formatDecibels(CONFIG.equalizer.preamp);
+    document.getElementById('select-eq-preset').value = 'custom';
+    applyEqualizer();
+    drawEqualizerCurve();
+  });
+
+  // Band sliders
+  EQ_FREQUENCIES.forEach((frequency, index) => {
+    document.getElementById('slider-eq-' + index).addEventListener('input', (e) => {
+      CONFIG.equalizer.bands[index] = parseInt(e.target.value);
+      CONFIG.equalizer.preset = 'custom';
+      document.getElementById('eq-value-' + index).textContent = formatDecibels(CONFIG.equalizer.bands[index]);
+      document.getElementById('select-eq-preset').value = 'custom';
+      applyEqualizer();
+      drawEqualizerCurve();
+    });
+  });
+
+  // Save current curve as a user preset
+  document.getElementById('btn-eq-save-preset').addEventListener('click', () => {
+    const input = document.getElementById('input-eq-preset-name');
+    const name = input.value.trim();
+    if (!name) {
+      input.focus();
+      return;
+    }
+
+    CONFIG.equalizer.userPresets[name] = {
+      preamp: CONFIG.equalizer.preamp,
+      bands: CONFIG.equalizer.bands.slice()
+    };
+    CONFIG.equalizer.preset = 'user:' + name;
+    input.value = '';
+    syncEqualizerUI();
+    saveCurrentSettings();
+  });
+
+  // Delete the selected user preset (keeps the current curve as Custom)
+  document.getElementById('btn-eq-delete-preset').addEventListener('click', () => {
+    if (!CONFIG.equalizer.preset.startsWith('user:')) return;
+
+    delete CONFIG.equalizer.userPresets[CONFIG.equalizer.preset.slice(5)];
+    CONFIG.equalizer.preset = 'custom';
+    syncEqualizerUI();
+    saveCurrentSettings();
+  });
+
+  // Reset equalizer button
+  document.getElementById('btn-reset-equalizer').addEventListener('click', () => {
+    CONFIG.equalizer.enabled = true;
+    loadEqualizerPreset('flat');
+    syncEqualizerUI();
+    saveCurrentSettings();
+  });
 }
 
 function setupSettingsEventListeners() {
@@ -2339,7 +6781,130 @@ function setupSettingsEventListeners() {
     document.getElementById('volume-value').textContent = e.target.value + '%';
     if (audioState.effectNodes) {
       audioState.effectNodes.mainGain.gain.value = value;
+      applyMechanismSounds();
+    }
+  });
+
+  // Varispeed
+  document.getElementById('slider-speed').addEventListener('input', (e) => {
+    setPlaySpeed(1 + parseFloat(e.target.value) / 100);
+  });
+
+  document.getElementById('checkbox-preserve-pitch').addEventListener('change', (e) => {
+    setPreservePitch(e.target.checked);
+    saveCurrentSettings();
+  });
+
+  // Track titles
+  document.getElementById('select-title-format').addEventListener('change', (e) => {
+    const input = document.getElementById('input-title-format');
+    if (e.target.value === 'custom') {
+      input.focus();
+      return;
+    }
+    input.value = e.target.value;
+    setTitleFormat(e.target.value);
+    saveCurrentSettings();
+  });
+
+  document.getElementById('input-title-format').addEventListener('change', (e) => {
+    setTitleFormat(e.target.value.trim());
+    saveCurrentSettings();
+  });
+
+  // Unplayable tracks
+  document.getElementById('select-skip-policy').addEventListener('change', (e) => {
+    CONFIG.playback.skipPolicy = e.target.value;
+    saveCurrentSettings();
+  });
+
+  document.getElementById('btn-clear-problems').addEventListener('click', clearTrackProblems);
+
+  // A-B loop options
+  document.getElementById('checkbox-loop-seam-fade').addEventListener('change', (e) => {
+    CONFIG.playback.loopSeamFade = e.target.checked;
+    saveCurrentSettings();
+  });
+
+  document.getElementById('checkbox-save-loops').addEventListener('change', (e) => {
+    CONFIG.playback.saveLoops = e.target.checked;
+    if (CONFIG.playback.saveLoops && isLoopActive()) {
+      saveAbLoop();
+    }
+    saveCurrentSettings();
+  });
+
+  // Sleep timer
+  document.getElementById('select-sleep-timer').addEventListener('change', (e) => {
+    setSleepTimer(e.target.value);
+  });
+
+  document.getElementById('checkbox-sleep-run-down').addEventListener('change', (e) => {
+    CONFIG.playback.sleepRunDown = e.target.checked;
+    saveCurrentSettings();
+  });
+
+  // Crossfade length slider
+  document.getElementById('slider-crossfade').addEventListener('input', (e) => {
+    CONFIG.playback.crossfadeDuration = parseFloat(e.target.value);
+    document.getElementById('crossfade-value').textContent = formatCrossfade(CONFIG.playback.crossfadeDuration);
+    cancelGaplessHandoff();
+  });
+
+  // Crossfade curve selector
+  document.getElementById('select-crossfade-curve').addEventListener('change', (e) => {
+    CONFIG.playback.crossfadeCurve = e.target.value;
+    saveCurrentSettings();
+  });
+
+  // Cassette (Side A / B) mode
+  document.getElementById('checkbox-cassette-mode').addEventListener('change', (e) => {
+    CONFIG.playback.cassetteMode = e.target.checked;
+    applyCassetteMode();
+    saveCurrentSettings();
+  });
+
+  document.getElementById('select-tape-length').addEventListener('change', (e) => {
+    CONFIG.playback.tapeLength = e.target.value;
+    applyCassetteMode();
+    saveCurrentSettings();
+  });
+
+  document.getElementById('checkbox-auto-reverse').addEventListener('change', (e) => {
+    CONFIG.playback.autoReverse = e.target.checked;
+    saveCurrentSettings();
+  });
+
+  document.getElementById('btn-flip-cassette').addEventListener('click', async () => {
+    await flipCassette();
+  });
+
+  // Tape counter mode
+  document.getElementById('select-counter-mode').addEventListener('change', (e) => {
+    CONFIG.playback.counterMode = e.target.value;
+    drawTapeCounter(true);
+    saveCurrentSettings();
+  });
+
+  // Start playing on launch
+  document.getElementById('checkbox-auto-resume').addEventListener('change', (e) => {
+    CONFIG.playback.autoResume = e.target.checked;
+    saveCurrentSettings();
+  });
+
+  // Cue / review sound while winding
+  document.getElementById('checkbox-cue-sound').addEventListener('change', (e) => {
+    CONFIG.playback.cueSound = e.target.checked;
+    saveCurrentSettings();
+  });
+
+  // Loudness normalization mode
+  document.getElementById('select-normalization').addEventListener('change', (e) => {
+    CONFIG.playback.normalization = e.target.value;
+    if (audioState.audioContext) {
+      refreshNormalization();
     }
+    saveCurrentSettings();
   });
 
   // Tape Hiss slider
@@ -2347,9 +6912,7 @@ function setupSettingsEventListeners() {
     const value = e.target.value / 100;
     CONFIG.audio.tapeHissLevel = value;
     document.getElementById('hiss-value').textContent = e.target.value + '%';
-    if (audioState.effectNodes) {
-      audioState.effectNodes.noiseGain.gain.value = 0.015 * value;
-    }
+    updateNoiseGain();
   });
 
   // Wow & Flutter slider
@@ -2357,10 +6920,7 @@ function setupSettingsEventListeners() {
     const value = e.target.value / 100;
     CONFIG.audio.wowFlutterLevel = value;
     document.getElementById('flutter-value').textContent = e.target.value + '%';
-    if (audioState.effectNodes) {
-      audioState.effectNodes.wowLFOGain.gain.value = 0.001 * value;
-      audioState.effectNodes.flutterLFOGain.gain.value = 0.0005 * value;
-    }
+    updateWowFlutter();
   });
 
   // Saturation slider
@@ -2368,9 +6928,56 @@ function setupSettingsEventListeners() {
     const value = e.target.value / 100;
     CONFIG.audio.saturationLevel = value;
     document.getElementById('saturation-value').textContent = e.target.value + '%';
-    if (audioState.effectNodes) {
-      audioState.effectNodes.saturation.curve = createSaturationCurve(value);
-    }
+    updateSaturation();
+  });
+
+  // Tape type selector
+  document.getElementById('select-tape-type').addEventListener('change', (e) => {
+    CONFIG.audio.tapeType = e.target.value;
+    applyTapeProfile();
+    saveCurrentSettings();
+  });
+
+  // Tape age slider
+  document.getElementById('slider-tape-age').addEventListener('input', (e) => {
+    CONFIG.audio.tapeAge = e.target.value / 100;
+    document.getElementById('tape-age-value').textContent = e.target.value + '%';
+    applyTapeWear();
+  });
+
+  // Automatic tape age (grows with play count)
+  document.getElementById('checkbox-tape-age-auto').addEventListener('change', (e) => {
+    CONFIG.audio.tapeAgeAuto = e.target.checked;
+    applyTapeWear();
+    saveCurrentSettings();
+  });
+
+  // Azimuth error slider
+  document.getElementById('slider-azimuth').addEventListener('input', (e) => {
+    CONFIG.audio.azimuthError = e.target.value / 100;
+    document.getElementById('azimuth-value').textContent = e.target.value + '%';
+    applyStereoImage();
+  });
+
+  // Crosstalk slider
+  document.getElementById('slider-crosstalk').addEventListener('input', (e) => {
+    CONFIG.audio.crosstalk = e.target.value / 100;
+    document.getElementById('crosstalk-value').textContent = e.target.value + '%';
+    applyStereoImage();
+  });
+
+  // Balance drift slider
+  document.getElementById('slider-balance-drift').addEventListener('input', (e) => {
+    CONFIG.audio.balanceDrift = e.target.value / 100;
+    document.getElementById('balance-drift-value').textContent = e.target.value + '%';
+    applyStereoImage();
+  });
+
+  // Noise reduction selector
+  document.getElementById('select-noise-reduction').addEventListener('change', (e) => {
+    CONFIG.audio.noiseReduction = e.target.value;
+    applyNoiseReductionMode();
+    saveCurrentSettings();
   });
 
   // Low Cut slider
@@ -2388,9 +6995,24 @@ function setupSettingsEventListeners() {
     const value = parseInt(e.target.value);
     CONFIG.audio.highCutoff = value;
     document.getElementById('highcut-value').textContent = value + ' Hz';
-    if (audioState.effectNodes) {
-      audioState.effectNodes.lowpass.frequency.value = value;
-    }
+    applyTapeWear();
+  });
+
+  // Mechanism sounds toggle
+  document.getElementById('checkbox-mechanism-sounds').addEventListener('change', (e) => {
+    CONFIG.audio.mechanismSounds = e.target.checked;
+    applyMechanismSounds();
+    saveCurrentSettings();
+  });
+
+  // Mechanism sound levels (a preview plays when the slider is released)
+  MECHANISM_SOUND_SLIDERS.forEach(({ id, key, sound }) => {
+    const slider = document.getElementById('slider-' + id);
+    slider.addEventListener('input', (e) => {
+      CONFIG.audio[key] = e.target.value / 100;
+      document.getElementById(id + '-value').textContent = e.target.value + '%';
+    });
+    slider.addEventListener('change', () => playMechanismSound(sound));
   });
 
   // Reset effects button
@@ -2399,6 +7021,18 @@ function setupSettingsEventListeners() {
     CONFIG.audio.tapeHissLevel = 0.3;
     CONFIG.audio.wowFlutterLevel = 0.5;
     CONFIG.audio.saturationLevel = 0.4;
+    CONFIG.audio.tapeType = 'normal';
+    CONFIG.audio.noiseReduction = 'off';
+    CONFIG.audio.tapeAge = 0;
+    CONFIG.audio.tapeAgeAuto = false;
+    CONFIG.audio.azimuthError = 0;
+    CONFIG.audio.crosstalk = 0;
+    CONFIG.audio.balanceDrift = 0;
+    CONFIG.audio.mechanismSounds = true;
+    CONFIG.audio.clunkLevel = 0.6;
+    CONFIG.audio.motorLevel = 0.4;
+    CONFIG.audio.releaseLevel = 0.5;
+    CONFIG.audio.whineLevel = 0.3;
 
     // Update sliders
     document.getElementById('slider-hiss').value = 30;
@@ -2407,13 +7041,31 @@ function setupSettingsEventListeners() {
     document.getElementById('flutter-value').textContent = '50%';
     document.getElementById('slider-saturation').value = 40;
     document.getElementById('saturation-value').textContent = '40%';
+    document.getElementById('select-tape-type').value = 'normal';
+    document.getElementById('select-noise-reduction').value = 'off';
+    document.getElementById('slider-tape-age').value = 0;
+    document.getElementById('tape-age-value').textContent = '0%';
+    document.getElementById('checkbox-tape-age-auto').checked = false;
+    document.getElementById('slider-azimuth').value = 0;
+    document.getElementById('azimuth-value').textContent = '0%';
+    document.getElementById('slider-crosstalk').value = 0;
+    document.getElementById('crosstalk-value').textContent = '0%';
+    document.getElementById('slider-balance-drift').value = 0;
+    document.getElementById('balance-drift-value').textContent = '0%';
+    document.getElementById('checkbox-mechanism-sounds').checked = true;
+    MECHANISM_SOUND_SLIDERS.forEach(({ id, key }) => {
+      document.getElementById('slider-' + id).value = CONFIG.audio[key] * 100;
+      document.getElementById(id + '-value').textContent = Math.round(CONFIG.audio[key] * 100) + '%';
+    });
 
     // Apply to audio nodes
     if (audioState.effectNodes) {
-      audioState.effectNodes.noiseGain.gain.value = 0.015 * 0.3;
-      audioState.effectNodes.wowLFOGain.gain.value = 0.001 * 0.5;
-      audioState.effectNodes.flutterLFOGain.gain.value = 0.0005 * 0.5;
-      audioState.effectNodes.saturation.curve = createSaturationCurve(0.4);
+      updateWowFlutter();
+      applyTapeProfile();
+      applyNoiseReductionMode();
+      applyTapeWear();
+      applyStereoImage();
+      applyMechanismSounds();
     }
 
     // Save settings immediately after reset
@@ -2427,6 +7079,12 @@ function setupSettingsEventListeners() {
   });
 
   // Open files button
+  document.getElementById('btn-cancel-scan').addEventListener('click', cancelFolderScan);
+
+  // Music library
+  document.getElementById('btn-library-add').addEventListener('click', addFolderToLibrary);
+  document.getElementById('btn-library-rescan').addEventListener('click', rescanLibrary);
+
   document.getElementById('btn-open-files').addEventListener('click', async () => {
     await openFiles();
     closeSettings();
@@ -2458,6 +7116,11 @@ function setupSettingsEventListeners() {
     saveCurrentSettings();
   });
 
+  document.getElementById('checkbox-show-cover-art').addEventListener('change', (e) => {
+    setShowCoverArt(e.target.checked);
+    saveCurrentSettings();
+  });
+
   // Appearance settings - Gradient enabled checkbox
   document.getElementById('checkbox-gradient-enabled').addEventListener('change', (e) => {
     CONFIG.appearance.gradientEnabled = e.target.checked;
@@ -2515,6 +7178,9 @@ function setupSettingsEventListeners() {
     saveCurrentSettings();
   });
 
+  // Equalizer controls
+  setupEqualizerEventListeners();
+
   // Add scroll wheel support for all sliders
   setupSliderScrollSupport();
 }
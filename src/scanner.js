@@ -0,0 +1,169 @@
+// Cassette Music Player - Folder Scanner
+// Finds the audio files of a folder tree. Runs in a worker thread started by the
+// main process, so large or network-mounted libraries do not block the window
+
+const { isMainThread, parentPort, workerData } = require('worker_threads');
+const path = require('path');
+const fs = require('fs');
+const { addTrackInfo } = require('./tags');
+
+// Supported audio formats
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.ogg', '.flac', '.aac', '.m4a', '.webm', '.opus', '.wma'];
+
+// Tracks per batch sent to the renderer
+const SCAN_BATCH_SIZE = 200;
+
+// Minimum time between progress messages (ms)
+const SCAN_PROGRESS_INTERVAL = 250;
+
+// Skipped directories listed in the scan summary (the rest are only counted)
+const MAX_SKIPPED_REPORTED = 50;
+
+// Check if file is an audio file
+function isAudioFile(filename) {
+  const ext = path.extname(filename).toLowerCase();
+  return AUDIO_EXTENSIONS.includes(ext);
+}
+
+// Get display name (remove extension and clean up)
+function getFileDisplayName(filename) {
+  const basename = path.basename(filename);
+  const ext = path.extname(basename);
+  return basename.slice(0, -ext.length);
+}
+
+// Add the size and modification time of each file. Files unchanged since their entry
+// in `known` (library index, keyed by path) take their tags from it; only the others are read
+async function addFileInfo(files, known) {
+  const changed = [];
+
+  await Promise.all(files.map(async (file) => {
+    try {
+      const stats = await fs.promises.stat(file.path);
+      file.size = stats.size;
+      file.mtimeMs = stats.mtimeMs;
+    } catch (error) {
+      changed.push(file);
+      return;
+    }
+
+    const entry = known[file.path];
+    if (entry && entry.size === file.size && entry.mtimeMs === file.mtimeMs) {
+      Object.assign(file, entry);
+    } else {
+      changed.push(file);
+    }
+  }));
+
+  await addTrackInfo(changed);
+}
+
+// Walk a folder tree without recursion. Symbolic links are followed, but every
+// directory is scanned once (by its real path), so symlink loops end. Unreadable
+// directories and broken links are skipped and reported in the summary.
+// onBatch(files) receives the tracks in batches, onProgress(found) the running count
+async function scanAudioFiles(folderPath, { onBatch, onProgress }) {
+  const visited = new Set();
+  const pending = [folderPath];
+  const skipped = [];
+  let skippedCount = 0;
+  let found = 0;
+  let batch = [];
+
+  const skip = (dirPath, reason) => {
+    skippedCount++;
+    if (skipped.length < MAX_SKIPPED_REPORTED) skipped.push({ path: dirPath, reason });
+  };
+
+  while (pending.length > 0) {
+    const dirPath = pending.pop();
+    let entries;
+
+    try {
+      const realPath = await fs.promises.realpath(dirPath);
+      if (visited.has(realPath)) {
+        skip(dirPath, 'loop');  // Symlink back into an already scanned directory
+        continue;
+      }
+      visited.add(realPath);
+      entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      skip(dirPath, error.code || error.message);
+      continue;
+    }
+
+    const subfolders = [];
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      let isDirectory = entry.isDirectory();
+      let isFile = entry.isFile();
+
+      if (entry.isSymbolicLink()) {
+        try {
+          const stats = await fs.promises.stat(fullPath);
+          isDirectory = stats.isDirectory();
+          isFile = stats.isFile();
+        } catch (error) {
+          skip(fullPath, error.code || error.message);  // Broken link
+          continue;
+        }
+      }
+
+      if (isDirectory) {
+        subfolders.push(fullPath);
+      } else if (isFile && isAudioFile(entry.name)) {
+        batch.push({
+          name: getFileDisplayName(entry.name),
+          fullName: entry.name,
+          path: fullPath
+        });
+        found++;
+        if (batch.length >= SCAN_BATCH_SIZE) {
+          await onBatch(batch);
+          batch = [];
+        }
+      }
+    }
+
+    // Reversed so the stack pops subfolders in directory order
+    pending.push(...subfolders.reverse());
+    onProgress(found);
+  }
+
+  if (batch.length > 0) {
+    await onBatch(batch);
+  }
+
+  return { found, skipped, skippedCount };
+}
+
+// Worker thread entry: scan workerData.folderPath and post progress, batches of
+// tracks (with their tags) and a final summary to the main process.
+// workerData.known holds the library index entries of the folder
+if (!isMainThread && workerData && workerData.folderPath) {
+  let lastProgress = 0;
+
+  scanAudioFiles(workerData.folderPath, {
+    onBatch: async (files) => {
+      await addFileInfo(files, workerData.known || {});
+      parentPort.postMessage({ type: 'batch', files });
+    },
+    onProgress: (found) => {
+      const now = Date.now();
+      if (now - lastProgress >= SCAN_PROGRESS_INTERVAL) {
+        lastProgress = now;
+        parentPort.postMessage({ type: 'progress', found });
+      }
+    }
+  }).then((summary) => {
+    parentPort.postMessage({ type: 'done', ...summary });
+  });
+}
+
+module.exports = {
+  AUDIO_EXTENSIONS,
+  isAudioFile,
+  getFileDisplayName,
+  addFileInfo,
+  scanAudioFiles
+};
@@ -0,0 +1,727 @@
+// Cassette Music Player - Tag Reader
+// Reads metadata tags (ID3v1/v2, APEv2, Vorbis comments, MP4 atoms), embedded
+// cover art and the duration of audio files in the main process
+
+const fs = require('fs');
+
+// How much of the file start is read when looking for tags
+const HEADER_READ_SIZE = 256 * 1024;
+
+// Upper bound for a single tag block (large embedded artwork is skipped)
+const MAX_TAG_SIZE = 16 * 1024 * 1024;
+
+// ReplayGain 2.0 reference level; R128 gain tags are relative to -23 LUFS
+const REPLAYGAIN_REFERENCE = -18;
+const R128_REFERENCE = -23;
+
+// Read `length` bytes at `position` (returns a shorter buffer at the end of the file)
+async function readChunk(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Decode an ID3v2 text payload according to its encoding byte
+function decodeId3Text(buffer, encoding) {
+  let text;
+  if (encoding === 1 || encoding === 2) {
+    // UTF-16 with BOM (1) or UTF-16BE without BOM (2)
+    let bigEndian = encoding === 2;
+    let start = 0;
+    if (encoding === 1 && buffer.length >= 2) {
+      bigEndian = buffer[0] === 0xFE && buffer[1] === 0xFF;
+      start = 2;
+    }
+    const bytes = Buffer.from(buffer.subarray(start, start + ((buffer.length - start) & ~1)));
+    if (bigEndian) bytes.swap16();
+    text = bytes.toString('utf16le');
+  } else {
+    text = buffer.toString(encoding === 3 ? 'utf8' : 'latin1');
+  }
+  return text.replace(/\0+$/, '');
+}
+
+// Split a TXXX/COMM style payload into its null-terminated description and value
+function splitId3Description(payload, encoding) {
+  const wide = encoding === 1 || encoding === 2;
+  let end = 0;
+  if (wide) {
+    while (end + 1 < payload.length && (payload[end] !== 0 || payload[end + 1] !== 0)) end += 2;
+    return [payload.subarray(0, end), payload.subarray(Math.min(payload.length, end + 2))];
+  }
+  while (end < payload.length && payload[end] !== 0) end++;
+  return [payload.subarray(0, end), payload.subarray(Math.min(payload.length, end + 1))];
+}
+
+function readSyncsafe(buffer, offset) {
+  return (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+}
+
+// ID3v2.2 frame ids of the text frames that are used, mapped to their v2.3 ids
+const ID3V22_FRAMES = {
+  TT2: 'TIT2',
+  TP1: 'TPE1',
+  TP2: 'TPE2',
+  TAL: 'TALB',
+  TRK: 'TRCK',
+  TPA: 'TPOS',
+  TYE: 'TYER',
+  TXX: 'TXXX',
+  PIC: 'APIC'
+};
+
+// Picture type of the front cover in ID3 APIC frames and FLAC PICTURE blocks
+const FRONT_COVER = 3;
+
+// Image type from the magic bytes (embedded pictures often carry a wrong or no MIME type)
+function getImageType(data) {
+  if (data.length < 12) return null;
+  if (data[0] === 0xFF && data[1] === 0xD8) return 'image/jpeg';
+  if (data.readUInt32BE(0) === 0x89504E47) return 'image/png';
+  if (data.toString('latin1', 0, 3) === 'GIF') return 'image/gif';
+  if (data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+// Parse an APIC (v2.3 / v2.4) or PIC (v2.2, 3-character image format) frame payload
+function parseId3Picture(payload, version) {
+  const encoding = payload[0];
+  let offset = 4;
+  if (version !== 2) {
+    const mimeEnd = payload.indexOf(0, 1);
+    if (mimeEnd < 0) return null;
+    offset = mimeEnd + 1;
+  }
+  if (offset >= payload.length) return null;
+
+  const [, data] = splitId3Description(payload.subarray(offset + 1), encoding);
+  return { type: payload[offset], data };
+}
+
+// Parse a FLAC PICTURE block (also used base64-encoded in Ogg METADATA_BLOCK_PICTURE comments)
+function parseFlacPicture(block) {
+  if (block.length < 32) return null;
+
+  const type = block.readUInt32BE(0);
+  let offset = 4;
+  for (let skip = 0; skip < 2; skip++) {
+    // MIME type and description strings
+    if (offset + 4 > block.length) return null;
+    offset += 4 + block.readUInt32BE(offset);
+  }
+  offset += 16;  // Width, height, colour depth, palette size
+  if (offset + 4 > block.length) return null;
+
+  const length = block.readUInt32BE(offset);
+  return { type, data: block.subarray(offset + 4, offset + 4 + length) };
+}
+
+// Parse ID3v2.2 / v2.3 / v2.4 frames. Text frames are stored under their (v2.3) frame id,
+// TXXX frames under their (upper-case) description. Pictures are collected when an array is given
+function parseId3v2(tag, version, fields, pictures) {
+  const headerSize = version === 2 ? 6 : 10;
+  let offset = 0;
+
+  while (offset + headerSize <= tag.length) {
+    let id;
+    let size;
+    if (version === 2) {
+      id = tag.toString('latin1', offset, offset + 3);
+      if (!/^[A-Z0-9]{3}$/.test(id)) break;  // Padding
+      size = tag.readUIntBE(offset + 3, 3);
+      id = ID3V22_FRAMES[id] || id;
+    } else {
+      id = tag.toString('latin1', offset, offset + 4);
+      if (!/^[A-Z0-9]{4}$/.test(id)) break;  // Padding
+      size = version >= 4 ? readSyncsafe(tag, offset + 4) : tag.readUInt32BE(offset + 4);
+    }
+
+    const payload = tag.subarray(offset + headerSize, offset + headerSize + size);
+    offset += headerSize + size;
+    if (payload.length === 0) continue;
+
+    const encoding = payload[0];
+    if (id === 'TXXX') {
+      const [description, value] = splitId3Description(payload.subarray(1), encoding);
+      fields[decodeId3Text(description, encoding).toUpperCase()] = decodeId3Text(value, encoding);
+    } else if (id[0] === 'T') {
+      fields[id] = decodeId3Text(payload.subarray(1), encoding);
+    } else if (id === 'APIC' && pictures) {
+      const picture = parseId3Picture(payload, version);
+      if (picture) pictures.push(picture);
+    }
+  }
+}
+
+// Parse an ID3v1 / v1.1 tag (the last 128 bytes). Only fills fields the ID3v2 tag did not set
+async function readId3v1Tag(handle, fileSize, fields) {
+  if (fileSize < 128) return false;
+
+  const tag = await readChunk(handle, fileSize - 128, 128);
+  if (tag.toString('latin1', 0, 3) !== 'TAG') return false;
+
+  const text = (start, length) => tag.toString('latin1', start, start + length).replace(/\0.*$/, '').trim();
+  const values = {
+    TIT2: text(3, 30),
+    TPE1: text(33, 30),
+    TALB: text(63, 30),
+    TYER: text(93, 4)
+  };
+  // v1.1: a zero byte before the last comment byte makes it the track number
+  if (tag[125] === 0 && tag[126] !== 0) {
+    values.TRCK = String(tag[126]);
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    if (value && fields[key] === undefined) fields[key] = value;
+  }
+  return true;
+}
+
+// Parse an APEv2 tag (written by mp3gain and others) located at the end of the file
+async function readApeTag(handle, fileSize, fields) {
+  // The APE footer sits before an optional 128-byte ID3v1 tag
+  for (const end of [fileSize, fileSize - 128]) {
+    if (end < 32) continue;
+    const footer = await readChunk(handle, end - 32, 32);
+    if (footer.toString('latin1', 0, 8) !== 'APETAGEX') continue;
+
+    const size = footer.readUInt32LE(12);     // Items + footer
+    const count = footer.readUInt32LE(16);
+    if (size < 32 || size > MAX_TAG_SIZE || size > end) return;
+
+    const items = await readChunk(handle, end - size, size - 32);
+    let offset = 0;
+    for (let i = 0; i < count && offset + 8 < items.length; i++) {
+      const valueSize = items.readUInt32LE(offset);
+      const flags = items.readUInt32LE(offset + 4);
+      const keyEnd = items.indexOf(0, offset + 8);
+      if (keyEnd < 0) break;
+
+      const key = items.toString('latin1', offset + 8, keyEnd).toUpperCase();
+      const value = items.subarray(keyEnd + 1, keyEnd + 1 + valueSize);
+      if (((flags >> 1) & 3) === 0) {
+        fields[key] = value.toString('utf8');  // UTF-8 text item
+      }
+      offset = keyEnd + 1 + valueSize;
+    }
+    return;
+  }
+}
+
+// Parse a Vorbis comment block (FLAC, Ogg Vorbis, Opus)
+function parseVorbisComment(block, fields) {
+  if (block.length < 8) return;
+
+  let offset = 4 + block.readUInt32LE(0);  // Skip vendor string
+  if (offset + 4 > block.length) return;
+
+  const count = block.readUInt32LE(offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= block.length; i++) {
+    const length = block.readUInt32LE(offset);
+    const comment = block.toString('utf8', offset + 4, Math.min(block.length, offset + 4 + length));
+    offset += 4 + length;
+
+    const separator = comment.indexOf('=');
+    if (separator > 0) {
+      const key = comment.slice(0, separator).toUpperCase();
+      // Repeated keys (e.g. several artists) are joined
+      const value = comment.slice(separator + 1);
+      fields[key] = fields[key] !== undefined ? `${fields[key]}; ${value}` : value;
+    }
+  }
+}
+
+// FLAC: walk the metadata blocks until the VORBIS_COMMENT block (or, when pictures
+// are wanted, through all blocks)
+async function readFlacTags(handle, fields, pictures) {
+  let position = 4;
+
+  for (;;) {
+    const header = await readChunk(handle, position, 4);
+    if (header.length < 4) return;
+
+    const last = (header[0] & 0x80) !== 0;
+    const type = header[0] & 0x7F;
+    const length = header.readUIntBE(1, 3);
+
+    if (type === 4) {
+      parseVorbisComment(await readChunk(handle, position + 4, length), fields);
+      if (!pictures) return;
+    } else if (type === 6 && pictures && length <= MAX_TAG_SIZE) {
+      const picture = parseFlacPicture(await readChunk(handle, position + 4, length));
+      if (picture) pictures.push(picture);
+    }
+    if (last) return;
+    position += 4 + length;
+  }
+}
+
+// Ogg: reassemble the second logical packet (comment header) from the first pages.
+// Pages are read one at a time (from `head` while it covers them) until the packet is
+// complete, so only the header pages of the file are read
+async function readOggTags(handle, head, fields) {
+  const read = (position, length) => position + length <= head.length
+    ? head.subarray(position, position + length)
+    : readChunk(handle, position, length);
+
+  const packets = [];
+  let packet = [];
+  let packetSize = 0;
+  let offset = 0;
+
+  while (packets.length < 2 && packetSize <= MAX_TAG_SIZE) {
+    const header = await read(offset, 27);
+    if (header.length < 27 || header.toString('latin1', 0, 4) !== 'OggS') break;
+
+    const table = await read(offset + 27, header[26]);
+    const bodySize = table.reduce((sum, lacing) => sum + lacing, 0);
+    const body = await read(offset + 27 + table.length, bodySize);
+    let position = 0;
+
+    for (const lacing of table) {
+      packet.push(body.subarray(position, position + lacing));
+      position += lacing;
+      packetSize += lacing;
+      if (lacing < 255) {
+        packets.push(Buffer.concat(packet));
+        packet = [];
+        packetSize = 0;
+        if (packets.length === 2) break;
+      }
+    }
+    if (body.length < bodySize) break;  // End of the file
+    offset += 27 + table.length + bodySize;
+  }
+
+  // A comment packet cut off at the read limit is still parsed as far as it goes
+  const comment = packets[1] || (packet.length > 0 ? Buffer.concat(packet) : null);
+  if (!comment) return;
+
+  if (comment.toString('latin1', 0, 8) === 'OpusTags') {
+    parseVorbisComment(comment.subarray(8), fields);
+  } else if (comment[0] === 3 && comment.toString('latin1', 1, 7) === 'vorbis') {
+    parseVorbisComment(comment.subarray(7), fields);
+  }
+}
+
+// Iterate the child atoms of an MP4 container buffer
+function* mp4Atoms(buffer, start = 0, end = buffer.length) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) return;
+
+    yield { type, start: offset + header, end: offset + size };
+    offset += size;
+  }
+}
+
+function findMp4Atom(buffer, atom, type) {
+  for (const child of mp4Atoms(buffer, atom.start, atom.end)) {
+    if (child.type === type) return child;
+  }
+  return null;
+}
+
+// Parse the moov/udta/meta/ilst item list. Freeform ('----') items are stored
+// under their upper-case name, standard items under their atom type. 'covr'
+// images are collected when an array is given
+function parseMp4Ilst(moov, fields, pictures) {
+  const root = { start: 0, end: moov.length };
+  const udta = findMp4Atom(moov, root, 'udta');
+  const meta = udta && findMp4Atom(moov, udta, 'meta');
+  if (!meta) return;
+
+  // 'meta' is a full box: 4 bytes of version and flags before its children
+  const ilst = findMp4Atom(moov, { start: meta.start + 4, end: meta.end }, 'ilst');
+  if (!ilst) return;
+
+  for (const item of mp4Atoms(moov, ilst.start, ilst.end)) {
+    let key = item.type;
+    let data = null;
+
+    for (const child of mp4Atoms(moov, item.start, item.end)) {
+      if (child.type === 'name') {
+        key = moov.toString('utf8', child.start + 4, child.end).toUpperCase();
+      } else if (child.type === 'data') {
+        data = child;
+      }
+    }
+    if (!data || data.end - data.start < 8) continue;
+
+    const dataType = moov.readUInt32BE(data.start) & 0xFFFFFF;
+    const value = moov.subarray(data.start + 8, data.end);
+    if (dataType === 1) {
+      fields[key] = value.toString('utf8');       // UTF-8 text
+    } else if (dataType === 0 && (key === 'trkn' || key === 'disk') && value.length >= 6) {
+      fields[key] = `${value.readUInt16BE(2)}/${value.readUInt16BE(4)}`;
+    } else if (dataType === 21 && value.length > 0 && value.length <= 4) {
+      fields[key] = String(value.readIntBE(0, value.length));  // Signed integer
+    } else if (key === 'covr' && pictures) {
+      pictures.push({ type: FRONT_COVER, data: value });   // JPEG (13) or PNG (14)
+    }
+  }
+}
+
+// Duration from the movie header ('mvhd') of a moov atom
+function readMp4Duration(moov) {
+  const mvhd = findMp4Atom(moov, { start: 0, end: moov.length }, 'mvhd');
+  if (!mvhd || mvhd.end - mvhd.start < 20) return null;
+
+  const version = moov[mvhd.start];
+  let timescale;
+  let duration;
+  if (version === 1) {
+    if (mvhd.end - mvhd.start < 32) return null;
+    timescale = moov.readUInt32BE(mvhd.start + 20);
+    duration = Number(moov.readBigUInt64BE(mvhd.start + 24));
+  } else {
+    timescale = moov.readUInt32BE(mvhd.start + 12);
+    duration = moov.readUInt32BE(mvhd.start + 16);
+  }
+  return timescale > 0 ? duration / timescale : null;
+}
+
+// MP4 / M4A: locate the top-level 'moov' atom and read it. Returns the duration
+async function readMp4Tags(handle, fileSize, fields, pictures) {
+  let position = 0;
+
+  while (position + 8 <= fileSize) {
+    const header = await readChunk(handle, position, 16);
+    if (header.length < 8) return null;
+
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    if (size === 1 && header.length >= 16) {
+      size = Number(header.readBigUInt64BE(8));
+    } else if (size === 0) {
+      size = fileSize - position;
+    }
+    if (size < 8) return null;
+
+    if (type === 'moov') {
+      if (size > MAX_TAG_SIZE) return null;
+      const moov = (await readChunk(handle, position, size)).subarray(8);
+      parseMp4Ilst(moov, fields, pictures);
+      return readMp4Duration(moov);
+    }
+    position += size;
+  }
+  return null;
+}
+
+// FLAC: total samples / sample rate from the STREAMINFO block (always the first block)
+function readFlacDuration(head) {
+  if (head.length < 26 || (head[4] & 0x7F) !== 0) return null;
+
+  const sampleRate = (head[18] << 12) | (head[19] << 4) | (head[20] >> 4);
+  const totalSamples = (head[21] & 0x0F) * 0x100000000 + head.readUInt32BE(22);
+  return sampleRate > 0 && totalSamples > 0 ? totalSamples / sampleRate : null;
+}
+
+// Ogg: granule position of the last page, in samples of the identification header's rate
+async function readOggDuration(handle, fileSize, head) {
+  const first = 27 + head[26];
+  let sampleRate = 0;
+  let preSkip = 0;
+  if (head.toString('latin1', first, first + 8) === 'OpusHead') {
+    sampleRate = 48000;  // Opus granule positions always count 48 kHz samples
+    preSkip = head.readUInt16LE(first + 10);
+  } else if (head[first] === 1 && head.toString('latin1', first + 1, first + 7) === 'vorbis') {
+    sampleRate = head.readUInt32LE(first + 12);
+  }
+  if (!sampleRate) return null;
+
+  const tailSize = Math.min(fileSize, 64 * 1024);
+  const tail = await readChunk(handle, fileSize - tailSize, tailSize);
+  const last = tail.lastIndexOf('OggS');
+  if (last < 0 || last + 14 > tail.length) return null;
+
+  const granule = Number(tail.readBigInt64LE(last + 6));
+  return granule > preSkip ? (granule - preSkip) / sampleRate : null;
+}
+
+// WAV: size of the data chunk / byte rate of the fmt chunk
+function readWavDuration(head, fileSize) {
+  let byteRate = 0;
+  let offset = 12;
+
+  while (offset + 8 <= head.length) {
+    const id = head.toString('latin1', offset, offset + 4);
+    const size = head.readUInt32LE(offset + 4);
+    if (id === 'fmt ' && offset + 16 <= head.length) {
+      byteRate = head.readUInt32LE(offset + 16);
+    } else if (id === 'data') {
+      // Streamed WAVs leave the size at 0 or 0xFFFFFFFF: use the rest of the file
+      const dataSize = size === 0 || size === 0xFFFFFFFF ? fileSize - offset - 8 : size;
+      return byteRate > 0 ? dataSize / byteRate : null;
+    }
+    offset += 8 + size + (size & 1);
+  }
+  return null;
+}
+
+// MPEG audio frame header tables
+const MPEG_BITRATES = {
+  '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  '2-3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MPEG_SAMPLE_RATES = [44100, 48000, 32000];
+
+// Parse an MPEG audio frame header (null when the bytes are not one)
+function parseMpegFrameHeader(buffer, offset) {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 3;   // 3 = MPEG 1, 2 = MPEG 2, 0 = MPEG 2.5
+  const layerBits = (buffer[offset + 1] >> 1) & 3;     // 3 = Layer I, 2 = II, 1 = III
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const rateIndex = (buffer[offset + 2] >> 2) & 3;
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+  const mpeg1 = versionBits === 3;
+  const layer = 4 - layerBits;
+  const sampleRate = MPEG_SAMPLE_RATES[rateIndex] / (mpeg1 ? 1 : versionBits === 2 ? 2 : 4);
+  const samplesPerFrame = layer === 1 ? 384 : layer === 3 && !mpeg1 ? 576 : 1152;
+
+  return {
+    mpeg1,
+    layer,
+    bitrate: MPEG_BITRATES[`${mpeg1 ? 1 : 2}-${layer}`][bitrateIndex] * 1000,
+    sampleRate,
+    samplesPerFrame,
+    mono: (buffer[offset + 3] >> 6) === 3
+  };
+}
+
+// MPEG audio: frame count from a Xing / Info or VBRI header, otherwise a constant bitrate estimate
+function readMpegDuration(head, audioStart, audioEnd) {
+  // Find the first frame (allowing for junk between the tag and the audio)
+  let offset = audioStart;
+  let frame = null;
+  while (offset < Math.min(head.length - 4, audioStart + 64 * 1024)) {
+    frame = parseMpegFrameHeader(head, offset);
+    if (frame) break;
+    offset++;
+  }
+  if (!frame) return null;
+
+  const sideInfo = frame.mpeg1 ? (frame.mono ? 17 : 32) : (frame.mono ? 9 : 17);
+  const xing = offset + 4 + sideInfo;
+  const xingId = head.toString('latin1', xing, xing + 4);
+  if ((xingId === 'Xing' || xingId === 'Info') && xing + 12 <= head.length && (head.readUInt32BE(xing + 4) & 1)) {
+    return head.readUInt32BE(xing + 8) * frame.samplesPerFrame / frame.sampleRate;
+  }
+
+  const vbri = offset + 4 + 32;
+  if (head.toString('latin1', vbri, vbri + 4) === 'VBRI' && vbri + 18 <= head.length) {
+    return head.readUInt32BE(vbri + 14) * frame.samplesPerFrame / frame.sampleRate;
+  }
+
+  return frame.bitrate > 0 ? (audioEnd - offset) * 8 / frame.bitrate : null;
+}
+
+// Read all supported tags of a file into a flat object with upper-case keys, plus the
+// duration in seconds (null when it cannot be determined). Untagged or unsupported
+// files give an empty object. Embedded pictures are added to `pictures` if given
+async function readMetadata(filePath, pictures) {
+  const fields = {};
+  let duration = null;
+  let handle;
+
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    const { size: fileSize } = await handle.stat();
+    const head = await readChunk(handle, 0, HEADER_READ_SIZE);
+    const magic = head.toString('latin1', 0, 4);
+
+    if (magic === 'fLaC') {
+      await readFlacTags(handle, fields, pictures);
+      duration = readFlacDuration(head);
+    } else if (magic === 'OggS') {
+      await readOggTags(handle, head, fields);
+      duration = await readOggDuration(handle, fileSize, head);
+      if (pictures && fields.METADATA_BLOCK_PICTURE) {
+        for (const encoded of fields.METADATA_BLOCK_PICTURE.split('; ')) {
+          const picture = parseFlacPicture(Buffer.from(encoded, 'base64'));
+          if (picture) pictures.push(picture);
+        }
+      }
+    } else if (head.toString('latin1', 4, 8) === 'ftyp') {
+      duration = await readMp4Tags(handle, fileSize, fields, pictures);
+    } else if (magic === 'RIFF' && head.toString('latin1', 8, 12) === 'WAVE') {
+      duration = readWavDuration(head, fileSize);
+    } else {
+      // MPEG audio and other formats: ID3v2 at the start, APEv2 / ID3v1 at the end
+      let audioStart = 0;
+      if (head.toString('latin1', 0, 3) === 'ID3' && head.length >= 10) {
+        const version = head[3];
+        const flags = head[5];
+        const tagSize = readSyncsafe(head, 6);
+        audioStart = 10 + tagSize + (flags & 0x10 ? 10 : 0);
+        if (version >= 2 && version <= 4 && tagSize <= MAX_TAG_SIZE) {
+          let tag = tagSize + 10 <= head.length ? head.subarray(10, 10 + tagSize) : await readChunk(handle, 10, tagSize);
+          if (flags & 0x40 && version >= 3) {
+            // Skip the extended header
+            const extendedSize = version >= 4 ? readSyncsafe(tag, 0) : tag.readUInt32BE(0) + 4;
+            tag = tag.subarray(extendedSize);
+          }
+          parseId3v2(tag, version, fields, pictures);
+        }
+      }
+      await readApeTag(handle, fileSize, fields);
+      const hasId3v1 = await readId3v1Tag(handle, fileSize, fields);
+
+      const audioHead = audioStart + 4096 <= head.length ? head : await readChunk(handle, audioStart, 64 * 1024 + 4096);
+      duration = audioHead === head
+        ? readMpegDuration(head, audioStart, fileSize - (hasId3v1 ? 128 : 0))
+        : readMpegDuration(audioHead, 0, fileSize - audioStart - (hasId3v1 ? 128 : 0));
+    }
+  } catch (error) {
+    console.error(`Error reading tags of ${filePath}:`, error.message);
+  } finally {
+    if (handle) await handle.close();
+  }
+
+  return { fields, duration: duration > 0 && isFinite(duration) ? duration : null };
+}
+
+// Read all supported tags of a file into a flat object with upper-case keys.
+// Returns an empty object for untagged or unsupported files
+async function readTags(filePath) {
+  return (await readMetadata(filePath)).fields;
+}
+
+// First non-empty field of a list of tag keys
+function pickField(fields, keys) {
+  for (const key of keys) {
+    const value = fields[key];
+    if (typeof value === 'string' && value.trim()) return value.trim();
+  }
+  return null;
+}
+
+// Leading number of "3", "3/12" or "03 of 12"
+function parseNumber(value) {
+  const number = value ? parseInt(value, 10) : NaN;
+  return number > 0 ? number : null;
+}
+
+// Display tags from ID3 (v2.3 ids), Vorbis / APE and MP4 (©-atoms) fields
+function getTrackInfo(fields) {
+  const date = pickField(fields, ['TYER', 'TDRC', 'DATE', 'YEAR', 'ORIGINALDATE', '\u00A9day']);
+  const year = date ? parseNumber(date.match(/\d{4}/)?.[0]) : null;
+
+  return {
+    artist: pickField(fields, ['TPE1', 'ARTIST', '\u00A9ART', 'TPE2', 'ALBUMARTIST', 'ALBUM ARTIST', 'aART']),
+    title: pickField(fields, ['TIT2', 'TITLE', '\u00A9nam']),
+    album: pickField(fields, ['TALB', 'ALBUM', '\u00A9alb']),
+    trackNumber: parseNumber(pickField(fields, ['TRCK', 'TRACKNUMBER', 'TRACK', 'trkn'])),
+    discNumber: parseNumber(pickField(fields, ['TPOS', 'DISCNUMBER', 'DISC', 'disk'])),
+    year
+  };
+}
+
+// Embedded cover art of a file: the front cover, otherwise the first displayable
+// picture. Returns { mimeType, data } or null
+async function readCoverArt(filePath) {
+  const pictures = [];
+  await readMetadata(filePath, pictures);
+
+  const images = pictures
+    .map(picture => ({ ...picture, mimeType: getImageType(picture.data) }))
+    .filter(picture => picture.mimeType);
+  const cover = images.find(picture => picture.type === FRONT_COVER) || images[0];
+  return cover ? { mimeType: cover.mimeType, data: cover.data } : null;
+}
+
+// Artist, title, album, track / disc number, year and duration of a file.
+// Missing values are null
+async function readTrackInfo(filePath) {
+  const { fields, duration } = await readMetadata(filePath);
+  return { ...getTrackInfo(fields), duration };
+}
+
+// Parse a gain value like "-6.54 dB"
+function parseGain(value) {
+  const gain = parseFloat(value);
+  return isFinite(gain) ? gain : null;
+}
+
+// R128 gain tags are Q7.8 fixed point relative to -23 LUFS; convert to the ReplayGain reference
+function parseR128Gain(value) {
+  const gain = parseInt(value, 10);
+  return isFinite(gain) ? gain / 256 + (REPLAYGAIN_REFERENCE - R128_REFERENCE) : null;
+}
+
+// Extract ReplayGain information (dB relative to -18 LUFS, linear peaks) from tag fields
+function getReplayGain(fields) {
+  const trackGain = parseGain(fields.REPLAYGAIN_TRACK_GAIN) ?? parseR128Gain(fields.R128_TRACK_GAIN);
+  const albumGain = parseGain(fields.REPLAYGAIN_ALBUM_GAIN) ?? parseR128Gain(fields.R128_ALBUM_GAIN);
+  if (trackGain === null && albumGain === null) return null;
+
+  return {
+    trackGain,
+    albumGain,
+    trackPeak: parseGain(fields.REPLAYGAIN_TRACK_PEAK),
+    albumPeak: parseGain(fields.REPLAYGAIN_ALBUM_PEAK)
+  };
+}
+
+// Read the ReplayGain / R128 gain of a file, or null when it is not tagged
+async function readReplayGain(filePath) {
+  return getReplayGain(await readTags(filePath));
+}
+
+// Number of files whose tags are read at the same time
+const TAG_READ_CONCURRENCY = 8;
+
+// Add artist / title / album / track and disc number / year / duration from the tags
+// to each audio file entry. Values that cannot be read are left out, so the renderer
+// falls back to the file name
+async function addTrackInfo(audioFiles) {
+  let next = 0;
+
+  const readNext = async () => {
+    while (next < audioFiles.length) {
+      const file = audioFiles[next++];
+      try {
+        const info = await readTrackInfo(file.path);
+        for (const [key, value] of Object.entries(info)) {
+          if (value !== null) file[key] = value;
+        }
+      } catch (error) {
+        console.error(`Error reading track info of ${file.path}:`, error.message);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(TAG_READ_CONCURRENCY, audioFiles.length) }, readNext));
+  return audioFiles;
+}
+
+module.exports = {
+  REPLAYGAIN_REFERENCE,
+  readTags,
+  readMetadata,
+  getTrackInfo,
+  readTrackInfo,
+  readCoverArt,
+  addTrackInfo,
+  getReplayGain,
+  readReplayGain
+};
@@ -0,0 +1,192 @@
+// Cassette Music Player - Tape Engine Worklet
+// AudioWorklet processor running tape transport modulation, saturation and hiss in one place
+
+// Delay line used for transport (wow & flutter) modulation
+const MAX_DELAY_SECONDS = 0.1;
+const BASE_DELAY_SECONDS = 0.005;
+
+// Transport modulation depths at full Wow & Flutter level (seconds of delay swing)
+const WOW_DRIFT_DEPTH = 0.0012;          // Filtered random drift of the tape speed
+const REEL_ECCENTRICITY_DEPTH = 0.0004;  // Supply reel once-around
+const PINCH_ROLLER_DEPTH = 0.00012;      // Pinch roller once-around
+const CAPSTAN_DEPTH = 0.00006;           // Capstan shaft and its harmonics
+const SCRAPE_DEPTH = 0.0000008;          // Scrape flutter (tape vibrating over the heads)
+
+// Rotation rates of the transport parts (Hz)
+const REEL_FREQUENCY = 0.45;
+const PINCH_ROLLER_FREQUENCY = 2.3;
+const CAPSTAN_FREQUENCY = 6.5;
+
+// Relative levels of capstan harmonics (fundamental, 2nd, 3rd)
+const CAPSTAN_HARMONICS = [1, 0.5, 0.25];
+
+// Hiss brightness shelf corner (matches the native noise shelf)
+const HISS_SHELF_FREQUENCY = 6000;
+
+const DEG = Math.PI / 180;
+const TWO_PI = Math.PI * 2;
+
+// One-pole lowpass coefficient for a cutoff frequency
+function onePoleCoefficient(frequency, rate) {
+  return 1 - Math.exp(-TWO_PI * frequency / rate);
+}
+
+// Same transfer curve as createSaturationCurve() in renderer.js, so the
+// worklet and the native WaveShaper fallback sound alike
+function saturate(x, amount) {
+  const clamped = x > 1 ? 1 : (x < -1 ? -1 : x);
+  return ((3 + amount) * clamped * 20 * DEG) / (Math.PI + amount * Math.abs(clamped));
+}
+
+// 4-point Hermite interpolation between y1 and y2
+function hermite(y0, y1, y2, y3, t) {
+  const c1 = 0.5 * (y2 - y0);
+  const c2 = y0 - 2.5 * y1 + 2 * y2 - 0.5 * y3;
+  const c3 = 0.5 * (y3 - y0) + 1.5 * (y1 - y2);
+  return ((c3 * t + c2) * t + c1) * t + y1;
+}
+
+class TapeEngineProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'wowFlutter', defaultValue: 0.5, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+      { name: 'saturation', defaultValue: 0.4, minValue: 0, maxValue: 2, automationRate: 'k-rate' },
+      { name: 'hissLevel', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+      { name: 'hissHighpass', defaultValue: 2000, minValue: 20, maxValue: 20000, automationRate: 'k-rate' },
+      { name: 'hissShelfGain', defaultValue: 0, minValue: -24, maxValue: 24, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+
+    // Stereo delay line
+    this.bufferSize = Math.ceil(MAX_DELAY_SECONDS * sampleRate);
+    this.buffers = [new Float32Array(this.bufferSize), new Float32Array(this.bufferSize)];
+    this.writeIndex = 0;
+
+    // Wow: random speed targets smoothed by two one-pole stages
+    this.driftTarget = 0;
+    this.driftSamplesLeft = 0;
+    this.driftStage1 = 0;
+    this.driftStage2 = 0;
+    this.driftCoefficient = onePoleCoefficient(0.6, sampleRate);
+
+    // Rotating parts start at random phases so every launch sounds different
+    this.reelPhase = Math.random();
+    this.pinchPhase = Math.random();
+    this.capstanPhase = Math.random();
+
+    // Slow speed wander of the rotating parts (motor servo hunting)
+    this.wander = 0;
+    this.wanderCoefficient = onePoleCoefficient(0.2, sampleRate);
+
+    // Scrape flutter: band-limited noise around 0.8-3.5 kHz
+    this.scrapeLow = 0;
+    this.scrapeHigh = 0;
+    this.scrapeLowCoefficient = onePoleCoefficient(800, sampleRate);
+    this.scrapeHighCoefficient = onePoleCoefficient(3500, sampleRate);
+
+    // Hiss filter state per channel (independent generators = decorrelated stereo)
+    this.hissHighpass1 = [0, 0];
+    this.hissHighpass2 = [0, 0];
+    this.hissShelf = [0, 0];
+    this.hissShelfCoefficient = onePoleCoefficient(HISS_SHELF_FREQUENCY, sampleRate);
+  }
+
+  // Advance the transport model by one sample and return the delay offset (seconds)
+  nextTransportOffset() {
+    // Wow: pick a new random speed target every 0.3-1.5 s
+    if (this.driftSamplesLeft <= 0) {
+      this.driftTarget = Math.random() * 2 - 1;
+      this.driftSamplesLeft = Math.floor((0.3 + Math.random() * 1.2) * sampleRate);
+    }
+    this.driftSamplesLeft--;
+    this.driftStage1 += this.driftCoefficient * (this.driftTarget - this.driftStage1);
+    this.driftStage2 += this.driftCoefficient * (this.driftStage1 - this.driftStage2);
+
+    // Rotating parts with a slightly wandering speed
+    this.wander += this.wanderCoefficient * ((Math.random() * 2 - 1) - this.wander);
+    const speed = 1 + this.wander * 0.02;
+    this.reelPhase = (this.reelPhase + REEL_FREQUENCY * speed / sampleRate) % 1;
+    this.pinchPhase = (this.pinchPhase + PINCH_ROLLER_FREQUENCY * speed / sampleRate) % 1;
+    this.capstanPhase = (this.capstanPhase + CAPSTAN_FREQUENCY * speed / sampleRate) % 1;
+
+    let capstan = 0;
+    for (let h = 0; h < CAPSTAN_HARMONICS.length; h++) {
+      capstan += CAPSTAN_HARMONICS[h] * Math.sin(TWO_PI * (h + 1) * this.capstanPhase);
+    }
+
+    // Scrape flutter: white noise band-passed by a highpass/lowpass pair
+    const white = Math.random() * 2 - 1;
+    this.scrapeLow += this.scrapeLowCoefficient * (white - this.scrapeLow);
+    this.scrapeHigh += this.scrapeHighCoefficient * ((white - this.scrapeLow) - this.scrapeHigh);
+
+    return WOW_DRIFT_DEPTH * this.driftStage2 +
+      REEL_ECCENTRICITY_DEPTH * Math.sin(TWO_PI * this.reelPhase) +
+      PINCH_ROLLER_DEPTH * Math.sin(TWO_PI * this.pinchPhase) +
+      CAPSTAN_DEPTH * capstan +
+      SCRAPE_DEPTH * this.scrapeHigh;
+  }
+
+  // Generate one hiss sample for a channel: 12 dB/oct highpass plus brightness shelf
+  nextHiss(channel, highpassCoefficient, shelfGain) {
+    const white = Math.random() * 2 - 1;
+    this.hissHighpass1[channel] += highpassCoefficient * (white - this.hissHighpass1[channel]);
+    const stage1 = white - this.hissHighpass1[channel];
+    this.hissHighpass2[channel] += highpassCoefficient * (stage1 - this.hissHighpass2[channel]);
+    const stage2 = stage1 - this.hissHighpass2[channel];
+
+    this.hissShelf[channel] += this.hissShelfCoefficient * (stage2 - this.hissShelf[channel]);
+    return stage2 + (shelfGain - 1) * (stage2 - this.hissShelf[channel]);
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const blockSize = output[0].length;
+
+    const wowFlutter = parameters.wowFlutter[0];
+    const saturation = parameters.saturation[0];
+    const hissLevel = parameters.hissLevel[0];
+    const hissHighpassCoefficient = onePoleCoefficient(parameters.hissHighpass[0], sampleRate);
+    const hissShelfGain = Math.pow(10, parameters.hissShelfGain[0] / 20);
+
+    const channelCount = Math.min(output.length, 2);
+    const size = this.bufferSize;
+
+    for (let i = 0; i < blockSize; i++) {
+      const delay = (BASE_DELAY_SECONDS + wowFlutter * this.nextTransportOffset()) * sampleRate;
+      const readPosition = this.writeIndex - delay + size;
+      const readIndex = Math.floor(readPosition);
+      const fraction = readPosition - readIndex;
+
+      for (let channel = 0; channel < channelCount; channel++) {
+        // Mono input feeds both channels
+        const source = input.length > 0 ? input[Math.min(channel, input.length - 1)] : null;
+        const buffer = this.buffers[channel];
+        buffer[this.writeIndex] = source ? source[i] : 0;
+
+        const sample = hermite(
+          buffer[(readIndex - 1) % size],
+          buffer[readIndex % size],
+          buffer[(readIndex + 1) % size],
+          buffer[(readIndex + 2) % size],
+          fraction
+        );
+
+        let value = saturate(sample, saturation);
+        if (hissLevel > 0) {
+          value += hissLevel * this.nextHiss(channel, hissHighpassCoefficient, hissShelfGain);
+        }
+        output[channel][i] = value;
+      }
+
+      this.writeIndex = (this.writeIndex + 1) % size;
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('tape-engine', TapeEngineProcessor);